@@ -0,0 +1,232 @@
+// Benchmark for positioning many notes while the canvas pans and zooms
+// Builds notes with the extension's markup and styles on a mock `app.canvas.ds`
+// and compares two ways of keeping them on the canvas:
+//
+// - per-note: every frame writes left/top/transform on every note, copied from
+//   updateAllNotePositions as it was before notes moved into one layer
+// - layer: each frame runs what syncWithCanvas in main.js runs for a pan or
+//   zoom: trackViewChange and layoutNotes from web/viewport.js
+//
+// Attached notes and connectors are updated the same way in both and are left out.
+
+import { renderMarkdown } from '../web/markdown.js';
+import { layoutNotes, trackViewChange } from '../web/viewport.js';
+
+// Notes are spread over this canvas area
+const WORLD_SIZE = 20000;
+const NOTE_WIDTH = 240;
+const NOTE_HEIGHT = 120;
+
+const SAMPLE_TEXT = '## Sampler\n\n- **steps**: 30\n- [ ] try `dpmpp_2m`\n- [x] fix seed\n\n> Keep CFG below 7';
+
+// Mock of LiteGraph's DragAndScale
+const ds = { offset: [0, 0], scale: 1 };
+
+const view = document.getElementById('view');
+const results = document.getElementById('results');
+
+/**
+ * Build a note element with the same structure as the extension's notes
+ */
+function createNoteElement() {
+    const note = document.createElement('div');
+    note.className = 'sticky-note';
+    note.style.width = `${NOTE_WIDTH}px`;
+    note.style.minHeight = `${NOTE_HEIGHT}px`;
+
+    const header = document.createElement('div');
+    header.className = 'sticky-note-header';
+    for (const className of ['sticky-note-collapse', 'sticky-note-lock', 'sticky-note-pin', 'sticky-note-close']) {
+        const button = document.createElement('button');
+        button.className = className;
+        header.appendChild(button);
+    }
+
+    const content = document.createElement('div');
+    content.className = 'sticky-note-content markdown-rendered';
+    content.innerHTML = renderMarkdown(SAMPLE_TEXT);
+
+    note.appendChild(header);
+    note.appendChild(content);
+    return note;
+}
+
+/**
+ * Build the notes at random positions (the same positions for both modes)
+ */
+function createNotes(count) {
+    let seed = 1;
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    return Array.from({ length: count }, () => ({
+        element: createNoteElement(),
+        canvasX: Math.round(random() * WORLD_SIZE),
+        canvasY: Math.round(random() * WORLD_SIZE),
+        width: NOTE_WIDTH,
+        height: NOTE_HEIGHT
+    }));
+}
+
+/**
+ * Old positioning: screen coordinates and a scale on every note
+ */
+const perNoteMode = {
+    name: 'per-note',
+
+    setup(notes) {
+        const overlay = document.createElement('div');
+        overlay.className = 'sticky-notes-overlay';
+        for (const note of notes) {
+            overlay.appendChild(note.element);
+        }
+        view.appendChild(overlay);
+    },
+
+    update(notes) {
+        const scale = ds.scale;
+        const offsetX = ds.offset[0];
+        const offsetY = ds.offset[1];
+
+        for (let i = 0, len = notes.length; i < len; i++) {
+            const note = notes[i];
+            const screenX = (note.canvasX + offsetX) * scale;
+            const screenY = (note.canvasY + offsetY) * scale;
+            const el = note.element;
+            el.style.left = screenX + 'px';
+            el.style.top = screenY + 'px';
+            el.style.transform = `scale(${scale})`;
+            el.style.transformOrigin = 'top left';
+        }
+    }
+};
+
+/**
+ * Layer positioning, through the same functions main.js uses
+ */
+const layerMode = {
+    name: 'layer',
+
+    setup(notes) {
+        const overlay = document.createElement('div');
+        overlay.className = 'sticky-notes-overlay';
+        this.layer = document.createElement('div');
+        this.layer.className = 'sticky-notes-layer';
+        for (const note of notes) {
+            this.layer.appendChild(note.element);
+        }
+        overlay.appendChild(this.layer);
+        view.appendChild(overlay);
+        this.lastView = { offset: [0, 0], scale: null };
+    },
+
+    update(notes) {
+        if (trackViewChange(ds, this.lastView)) {
+            layoutNotes(this.layer, notes, ds, view.clientWidth, view.clientHeight);
+        }
+    }
+};
+
+/**
+ * Move the mock canvas for a frame: a slow pan with a zoom in and out
+ */
+function moveCanvas(frame, frames) {
+    const t = frame / frames;
+    ds.scale = 0.6 + 0.4 * Math.sin(t * Math.PI * 2);
+    ds.offset[0] = -t * WORLD_SIZE / 2;
+    ds.offset[1] = -t * WORLD_SIZE / 4;
+}
+
+/**
+ * Wait for the next animation frame
+ */
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+/**
+ * Get a percentile of a list of numbers
+ */
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Pan and zoom for a number of frames
+ * @returns {Object} Timings in milliseconds and the number of notes left rendered
+ */
+async function runMode(mode, count, frames) {
+    view.replaceChildren();
+    ds.offset = [0, 0];
+    ds.scale = 1;
+
+    const notes = createNotes(count);
+    mode.setup(notes);
+    mode.update(notes);
+    await nextFrame();
+
+    const scriptTimes = [];
+    const frameTimes = [];
+    let last = await nextFrame();
+
+    for (let frame = 0; frame < frames; frame++) {
+        moveCanvas(frame, frames);
+
+        const start = performance.now();
+        mode.update(notes);
+        // Include the style and layout work the update causes
+        void view.offsetHeight;
+        scriptTimes.push(performance.now() - start);
+
+        const now = await nextFrame();
+        frameTimes.push(now - last);
+        last = now;
+    }
+
+    const rendered = notes.filter(n => !n.culled).length;
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+    return {
+        rendered,
+        scriptMean: mean(scriptTimes),
+        scriptP95: percentile(scriptTimes, 0.95),
+        frameMean: mean(frameTimes),
+        frameP95: percentile(frameTimes, 0.95)
+    };
+}
+
+/**
+ * Run both modes and print the results
+ */
+async function runBenchmark() {
+    const count = Number(document.getElementById('count').value) || 1000;
+    const frames = Number(document.getElementById('frames').value) || 300;
+    const lines = [`${count} notes, ${frames} frames of pan and zoom\n`];
+    results.textContent = lines.join('\n');
+
+    for (const mode of [perNoteMode, layerMode]) {
+        const result = await runMode(mode, count, frames);
+        const f = (n) => n.toFixed(2).padStart(7);
+
+        lines.push(
+            `${mode.name}`,
+            `  update + layout  mean ${f(result.scriptMean)} ms   p95 ${f(result.scriptP95)} ms`,
+            `  frame time       mean ${f(result.frameMean)} ms   p95 ${f(result.frameP95)} ms`,
+            `  rendered notes at the end: ${result.rendered}\n`
+        );
+        results.textContent = lines.join('\n');
+    }
+
+    view.replaceChildren();
+}
+
+document.getElementById('run').addEventListener('click', () => {
+    const button = document.getElementById('run');
+    button.disabled = true;
+    runBenchmark().finally(() => {
+        button.disabled = false;
+    });
+});
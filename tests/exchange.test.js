@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    exportNotesAsMarkdown,
+    exportNotesAsJson,
+    exportNotesAsCsv,
+    importNotes,
+    parseCsv
+} from '../web/exchange.js';
+import { STORAGE_VERSION } from '../web/storage.js';
+
+const notes = [
+    { id: 2, x: 300, y: 40, width: 240, height: 120, color: 'blue', text: 'Second' },
+    { id: 1, x: 10, y: 40, width: 200, height: 100, color: 'yellow', text: '# First\n\n- a, "b"\n---\nafter rule' },
+    { id: 3, x: 0, y: 500, width: 240, height: 120, color: '#ff8800', text: 'Third' }
+];
+
+test('Markdown export lists notes in reading order with front-matter', () => {
+    const markdown = exportNotesAsMarkdown(notes, 'My workflow');
+
+    assert.ok(markdown.startsWith('# My workflow\n'));
+    assert.ok(markdown.includes('---\ncolor: yellow\nx: 10\ny: 40\nwidth: 200\nheight: 100\n---\n\n# First'));
+    assert.ok(markdown.indexOf('# First') < markdown.indexOf('Second'));
+    assert.ok(markdown.indexOf('Second') < markdown.indexOf('Third'));
+});
+
+test('Markdown export round-trips through import', () => {
+    const imported = importNotes(exportNotesAsMarkdown(notes), 'notes.md');
+
+    assert.deepEqual(imported, [
+        { color: 'yellow', x: 10, y: 40, width: 200, height: 100, text: notes[1].text },
+        { color: 'blue', x: 300, y: 40, width: 240, height: 120, text: 'Second' },
+        { color: '#ff8800', x: 0, y: 500, width: 240, height: 120, text: 'Third' }
+    ]);
+});
+
+test('front-matter blocks inside a note body stay part of the note', () => {
+    const text = 'Intro\n\n---\nTitle: value\ncolor: red\n---\n\nMore';
+    const imported = importNotes(exportNotesAsMarkdown([{ ...notes[0], text }, notes[2]]), 'notes.md');
+
+    assert.equal(imported.length, 2);
+    assert.equal(imported[0].text, text);
+    assert.equal(imported[0].color, 'blue');
+});
+
+test('Markdown exported without note markers is still imported', () => {
+    const markdown = '# Notes\n\n---\ncolor: blue\nx: 1\n---\n\nOne\n---\nTitle: value\n---\n\n---\ny: 2\n---\n\nTwo\n';
+
+    assert.deepEqual(importNotes(markdown, 'notes.md'), [
+        { color: 'blue', x: 1, text: 'One\n---\nTitle: value\n---' },
+        { y: 2, text: 'Two' }
+    ]);
+});
+
+test('JSON export uses the versioned storage format and round-trips', () => {
+    const json = exportNotesAsJson(notes);
+
+    assert.equal(JSON.parse(json).version, STORAGE_VERSION);
+    assert.deepEqual(importNotes(json, 'notes.json'), [notes[1], notes[0], notes[2]]);
+});
+
+test('JSON import accepts a bare array of notes', () => {
+    assert.deepEqual(importNotes(JSON.stringify(notes), 'notes.json'), notes);
+});
+
+test('CSV export quotes fields and round-trips', () => {
+    const csv = exportNotesAsCsv(notes);
+
+    assert.ok(csv.startsWith('id,x,y,width,height,color,text\r\n'));
+    assert.ok(csv.includes('"# First\n\n- a, ""b""\n---\nafter rule"'));
+    assert.deepEqual(importNotes(csv, 'notes.csv'), [notes[1], notes[0], notes[2]]);
+});
+
+test('CSV export keeps spreadsheets from running text as formulas', () => {
+    const formulas = [
+        { id: 1, x: -20, y: 0, color: 'blue', text: '=HYPERLINK("http://example.com")' },
+        { id: 2, x: 0, y: 10, color: 'blue', text: '@SUM(A1)' },
+        { id: 3, x: 0, y: 20, color: 'blue', text: "'=quoted" },
+        { id: 4, x: 0, y: 30, color: 'blue', text: "it's fine" }
+    ];
+    const csv = exportNotesAsCsv(formulas);
+
+    assert.ok(csv.includes(`,"'=HYPERLINK(""http://example.com"")"`));
+    assert.ok(csv.includes(",'@SUM(A1)"));
+    assert.ok(csv.includes('1,-20,0'));
+    assert.deepEqual(importNotes(csv, 'notes.csv'), formulas);
+});
+
+test('CSV parser handles quotes, empty fields and CRLF', () => {
+    assert.deepEqual(parseCsv('a,"b ""c""",\r\n"x\r\ny",z'), [['a', 'b "c"', ''], ['x\r\ny', 'z']]);
+});
+
+test('the format is detected from the content without an extension', () => {
+    assert.equal(importNotes(exportNotesAsJson(notes)).length, 3);
+    assert.equal(importNotes(exportNotesAsCsv(notes)).length, 3);
+    assert.equal(importNotes(exportNotesAsMarkdown(notes)).length, 3);
+});
+
+test('JSON without notes is rejected', () => {
+    assert.throws(() => importNotes('{"foo": 1}', 'notes.json'), /does not contain sticky notes/);
+});
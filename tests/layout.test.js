@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    snapToGrid,
+    getBoundingRect,
+    snapMove,
+    snapResize,
+    alignRects,
+    distributeRects,
+    stackRects,
+    gridRects,
+    pushOffRects,
+    rectsOverlap,
+    attachmentToPosition,
+    positionToAttachment
+} from '../web/layout.js';
+
+const node = { x: 100, y: 100, width: 200, height: 100 };
+
+test('snapToGrid rounds to the nearest grid line, or leaves the value without a grid', () => {
+    assert.equal(snapToGrid(14, 10), 10);
+    assert.equal(snapToGrid(15, 10), 20);
+    assert.equal(snapToGrid(-6, 10), -10);
+    assert.equal(snapToGrid(14, 0), 14);
+});
+
+test('getBoundingRect covers all rectangles', () => {
+    assert.deepEqual(
+        getBoundingRect([node, { x: 50, y: 250, width: 20, height: 20 }]),
+        { x: 50, y: 100, width: 250, height: 170 }
+    );
+});
+
+test('a moved rectangle snaps to the grid when no target is close', () => {
+    const snapped = snapMove({ x: 503, y: 497, width: 80, height: 40 }, [node], { threshold: 5, gridSize: 10 });
+
+    assert.equal(snapped.x, 500);
+    assert.equal(snapped.y, 500);
+    assert.deepEqual(snapped.guides, []);
+});
+
+test('a moved rectangle aligns its edges and centers with a target and shows guides', () => {
+    // Left edge 3px from the node's left edge, center 2px below the node's center
+    const snapped = snapMove({ x: 103, y: 400, width: 80, height: 40 }, [node], { threshold: 5, gridSize: 10 });
+    assert.equal(snapped.x, 100);
+    assert.equal(snapped.y, 400);
+    assert.deepEqual(snapped.guides, [{ axis: 'x', position: 100, from: 100, to: 440 }]);
+
+    const centered = snapMove({ x: 400, y: 132, width: 80, height: 40 }, [node], { threshold: 5 });
+    assert.equal(centered.y, 130);
+    assert.deepEqual(centered.guides, [{ axis: 'y', position: 150, from: 100, to: 480 }]);
+});
+
+test('the closest target line wins', () => {
+    const targets = [node, { x: 0, y: 0, width: 98, height: 10 }];
+    const snapped = snapMove({ x: 101, y: 400, width: 80, height: 40 }, targets, { threshold: 5 });
+
+    assert.equal(snapped.x, 100);
+});
+
+test('a resized rectangle snaps its right and bottom edges', () => {
+    const snapped = snapResize({ x: 400, y: 0, width: 96, height: 203 }, [node], { threshold: 5, gridSize: 10 });
+
+    assert.equal(snapped.width, 100);
+    assert.equal(snapped.height, 200);
+    assert.deepEqual(snapped.guides, [{ axis: 'y', position: 200, from: 100, to: 500 }]);
+});
+
+test('nothing snaps without a threshold or grid', () => {
+    const rect = { x: 103, y: 97, width: 80, height: 40 };
+
+    assert.deepEqual(snapMove(rect, [node]), { x: 103, y: 97, guides: [] });
+    assert.deepEqual(snapResize(rect, [node]), { width: 80, height: 40, guides: [] });
+});
+
+const notes = [
+    { x: 50, y: 10, width: 100, height: 50 },
+    { x: 0, y: 100, width: 200, height: 80 },
+    { x: 300, y: 40, width: 50, height: 20 }
+];
+
+test('alignRects lines rectangles up on an edge or center of their bounds', () => {
+    assert.deepEqual(alignRects(notes, 'left').map(p => p.x), [0, 0, 0]);
+    assert.deepEqual(alignRects(notes, 'right').map(p => p.x), [250, 150, 300]);
+    assert.deepEqual(alignRects(notes, 'top').map(p => p.y), [10, 10, 10]);
+    assert.deepEqual(alignRects(notes, 'bottom').map(p => p.y), [130, 100, 160]);
+    assert.deepEqual(alignRects(notes, 'center').map(p => p.x), [125, 75, 150]);
+    assert.deepEqual(alignRects(notes, 'left').map(p => p.y), [10, 100, 40]);
+});
+
+test('distributeRects makes the gaps equal and keeps the outer rectangles', () => {
+    const row = [
+        { x: 0, y: 0, width: 100, height: 50 },
+        { x: 400, y: 20, width: 100, height: 50 },
+        { x: 120, y: 40, width: 40, height: 50 }
+    ];
+    const positions = distributeRects(row, 'x');
+
+    // 500 wide with 240 of rectangles leaves two gaps of 130
+    assert.deepEqual(positions.map(p => p.x), [0, 400, 230]);
+    assert.deepEqual(positions.map(p => p.y), [0, 20, 40]);
+    assert.deepEqual(distributeRects(notes.slice(0, 2), 'x'), [{ x: 50, y: 10 }, { x: 0, y: 100 }]);
+});
+
+test('stackRects stacks rectangles top to bottom in a column', () => {
+    assert.deepEqual(stackRects(notes, 10), [
+        { x: 0, y: 10 },
+        { x: 0, y: 100 },
+        { x: 0, y: 70 }
+    ]);
+});
+
+test('gridRects fills rows in reading order with columns as wide as their widest rectangle', () => {
+    assert.deepEqual(gridRects(notes, { columns: 2, gap: 10 }), [
+        { x: 0, y: 10 },
+        { x: 0, y: 70 },
+        { x: 210, y: 10 }
+    ]);
+});
+
+test('pushOffRects moves overlapping rectangles the shortest way out', () => {
+    const obstacles = [node];
+    const positions = pushOffRects([
+        { x: 280, y: 120, width: 50, height: 20 },
+        { x: 500, y: 500, width: 50, height: 20 }
+    ], obstacles, 10);
+
+    assert.deepEqual(positions, [{ x: 310, y: 120 }, { x: 500, y: 500 }]);
+    assert.ok(!rectsOverlap({ ...positions[0], width: 50, height: 20 }, node));
+});
+
+test('pushOffRects keeps pushing when a rectangle lands on another obstacle', () => {
+    const obstacles = [node, { x: 300, y: 100, width: 100, height: 100 }];
+    const [position] = pushOffRects([{ x: 270, y: 110, width: 50, height: 20 }], obstacles, 0);
+
+    assert.ok(obstacles.every(o => !rectsOverlap({ ...position, width: 50, height: 20 }, o)));
+});
+
+test('attachment offsets follow the node and convert back to the same position', () => {
+    const graphNode = { id: 7, pos: [100, 200], size: [300, 150], flags: {} };
+
+    for (const [x, y] of [[50, 120], [420, 210], [150, 380], [90, 190]]) {
+        const attachedTo = positionToAttachment(graphNode, x, y, 80);
+        assert.deepEqual(attachmentToPosition(graphNode, attachedTo, 80), { x, y });
+    }
+    assert.deepEqual(positionToAttachment(graphNode, 420, 210, 80), { nodeId: 7, dx: 320, dy: 10 });
+});
+
+test('notes right of or below a collapsed node move in to its title bar', () => {
+    const graphNode = { id: 7, pos: [100, 200], size: [300, 150], flags: { collapsed: true } };
+
+    // Right of the body, below the body, and left of the node (unchanged)
+    assert.deepEqual(attachmentToPosition(graphNode, { dx: 320, dy: 10 }, 80), { x: 200, y: 210 });
+    assert.deepEqual(attachmentToPosition(graphNode, { dx: 50, dy: 180 }, 80), { x: 150, y: 230 });
+    assert.deepEqual(attachmentToPosition(graphNode, { dx: -60, dy: 10 }, 80), { x: 40, y: 210 });
+
+    // Moving a note next to the collapsed node gives the offset it has when expanded
+    // (a note beside the title bar counts as below the body)
+    for (const attachedTo of [{ dx: 320, dy: 170 }, { dx: 50, dy: 180 }, { dx: -60, dy: -40 }]) {
+        const position = attachmentToPosition(graphNode, attachedTo, 80);
+        assert.deepEqual(positionToAttachment(graphNode, position.x, position.y, 80), { nodeId: 7, ...attachedTo });
+    }
+});
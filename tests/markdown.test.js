@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+    renderMarkdown,
+    renderPlainText,
+    parseMarkdownToAst,
+    isSafeUrl,
+    isSafeImageUrl,
+    isLocalImageUrl,
+    toggleTaskMarker,
+    escapeHtml
+} from '../web/markdown.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'markdown');
+
+// Expected HTML may be split across lines between tags for readability
+const normalize = (html) => html.replace(/>\s*\n\s*</g, '><').trim();
+
+// Node references and widget values render through callbacks in the extension; use stand-ins here
+const options = {
+    renderNodeReference: (ref) => `<span class="node-ref">${ref}</span>`,
+    renderWidgetReference: (ref, widget) => `<span class="widget">${escapeHtml(`${ref}.${widget}`)}</span>`
+};
+
+for (const file of readdirSync(FIXTURES).filter(f => f.endsWith('.md'))) {
+    test(`fixture: ${file}`, () => {
+        const markdown = readFileSync(join(FIXTURES, file), 'utf8');
+        const expected = readFileSync(join(FIXTURES, file.replace(/\.md$/, '.html')), 'utf8');
+
+        assert.equal(normalize(renderMarkdown(markdown, options)), normalize(expected));
+    });
+}
+
+test('isSafeUrl allows http(s), mailto and relative URLs only', () => {
+    assert.ok(isSafeUrl('https://example.com'));
+    assert.ok(isSafeUrl('http://example.com'));
+    assert.ok(isSafeUrl('mailto:someone@example.com'));
+    assert.ok(isSafeUrl('/view?filename=a.png'));
+    assert.ok(isSafeUrl('#anchor'));
+
+    assert.ok(!isSafeUrl('javascript:alert(1)'));
+    assert.ok(!isSafeUrl(' JavaScript:alert(1)'));
+    assert.ok(!isSafeUrl('java\tscript:alert(1)'));
+    assert.ok(!isSafeUrl('java\u0000script:alert(1)'));
+    assert.ok(!isSafeUrl('data:text/html;base64,PHNjcmlwdD4='));
+    assert.ok(!isSafeUrl('vbscript:msgbox'));
+});
+
+test('isSafeImageUrl allows http(s), relative URLs and raster data URLs only', () => {
+    assert.ok(isSafeImageUrl('https://example.com/a.png'));
+    assert.ok(isSafeImageUrl('/api/view?filename=a.png&type=input'));
+    assert.ok(isSafeImageUrl('data:image/png;base64,iVBORw0KGgo='));
+    assert.ok(isSafeImageUrl('data:image/jpeg;base64,/9j/4AAQ'));
+
+    assert.ok(!isSafeImageUrl('data:image/svg+xml;base64,PHN2Zz4='));
+    assert.ok(!isSafeImageUrl('data:text/html;base64,PHNjcmlwdD4='));
+    assert.ok(!isSafeImageUrl('javascript:alert(1)'));
+    assert.ok(!isSafeImageUrl('mailto:someone@example.com'));
+});
+
+test('isLocalImageUrl allows relative, same-origin and inline images only', () => {
+    const origin = 'http://127.0.0.1:8188';
+
+    assert.ok(isLocalImageUrl('/api/view?filename=a.png&type=input', origin));
+    assert.ok(isLocalImageUrl('view?filename=a.png'));
+    assert.ok(isLocalImageUrl('http://127.0.0.1:8188/view?filename=a.png', origin));
+    assert.ok(isLocalImageUrl('data:image/png;base64,iVBORw0KGgo='));
+
+    assert.ok(!isLocalImageUrl('https://example.com/a.png', origin));
+    assert.ok(!isLocalImageUrl('http://127.0.0.1:8188/a.png'));
+    assert.ok(!isLocalImageUrl('//example.com/a.png', origin));
+    assert.ok(!isLocalImageUrl('/\\example.com/a.png', origin));
+    assert.ok(!isLocalImageUrl(' \t//example.com/a.png', origin));
+});
+
+test('images from the page origin are loaded when the origin is given', () => {
+    assert.equal(
+        renderMarkdown('![a](http://127.0.0.1:8188/view?filename=a.png)', { origin: 'http://127.0.0.1:8188' }),
+        '<p><img src="http://127.0.0.1:8188/view?filename=a.png" alt="a" loading="lazy"></p>'
+    );
+});
+
+test('node references render as escaped text without a callback', () => {
+    assert.equal(renderMarkdown('see [[<b>]]'), '<p>see [[&lt;b&gt;]]</p>');
+});
+
+test('widget placeholders render as escaped text without a callback', () => {
+    assert.equal(renderMarkdown('{{"<b>".seed}}'), '<p>{{&quot;&lt;b&gt;&quot;.seed}}</p>');
+});
+
+test('task items keep their source line', () => {
+    const ast = parseMarkdownToAst('intro\n\n- [ ] first\n  - [x] nested');
+    const list = ast.children[1];
+
+    assert.deepEqual(list.items[0].task, { checked: false, line: 2 });
+    assert.deepEqual(list.items[0].sublists[0].items[0].task, { checked: true, line: 3 });
+});
+
+test('toggleTaskMarker flips only the checkbox of each task line in the fixture', () => {
+    const markdown = readFileSync(join(FIXTURES, 'tasks.md'), 'utf8');
+    const lines = markdown.split('\n');
+    const taskLines = [...renderMarkdown(markdown).matchAll(/data-task-line="(\d+)"( checked)?/g)]
+        .map(match => ({ line: Number(match[1]), checked: !!match[2] }));
+
+    assert.deepEqual(taskLines.map(task => task.line), [0, 1, 2, 3, 4, 5, 10]);
+
+    for (const { line, checked } of taskLines) {
+        const toggled = toggleTaskMarker(markdown, line).split('\n');
+        const changed = lines.map((text, index) => index).filter(index => toggled[index] !== lines[index]);
+
+        assert.deepEqual(changed, [line]);
+        assert.equal(toggled[line].replace(/\[[ xX]\]/, '[?]'), lines[line].replace(/\[[ xX]\]/, '[?]'));
+        assert.ok(renderMarkdown(toggled.join('\n')).includes(`data-task-line="${line}"${checked ? '>' : ' checked>'}`));
+    }
+});
+
+test('toggleTaskMarker leaves lines that are not task items alone', () => {
+    const markdown = readFileSync(join(FIXTURES, 'tasks.md'), 'utf8');
+
+    // Inside a code fence, no list marker, past the end
+    assert.equal(toggleTaskMarker(markdown, 8), null);
+    assert.equal(toggleTaskMarker(markdown, 11), null);
+    assert.equal(toggleTaskMarker(markdown, 40), null);
+    assert.equal(toggleTaskMarker('', 0), null);
+});
+
+test('toggleTaskMarker keeps the line breaks of the source', () => {
+    assert.equal(toggleTaskMarker('a\r\n\r\n- [ ] b\r\n- [x] c', 2), 'a\r\n\r\n- [x] b\r\n- [x] c');
+    assert.equal(toggleTaskMarker('- [x] [ ] b', 0), '- [ ] [ ] b');
+});
+
+test('empty input renders nothing', () => {
+    assert.equal(renderMarkdown(''), '');
+    assert.equal(renderMarkdown(null), '');
+});
+
+test('plain text rendering drops formatting and keeps the structure', () => {
+    const text = [
+        '# **Zone** A',
+        'Uses [[#3]] with seed {{3.seed}} and ![preview](/a.png)',
+        '',
+        '- [x] done',
+        '  1. *first*',
+        '> quoted',
+        '',
+        '| a | b |',
+        '|---|---|',
+        '| 1 | 2 |'
+    ].join('\n');
+
+    assert.deepEqual(renderPlainText(text, { formatNodeReference: (ref) => `Node ${ref}` }), [
+        'Zone A',
+        'Uses Node #3 with seed {{3.seed}} and preview',
+        '\u2611 done',
+        '  1. first',
+        '\u2502 quoted',
+        'a | b',
+        '1 | 2'
+    ]);
+});
+
+test('hostile input renders in time that grows linearly with its size', () => {
+    const inputs = [
+        '['.repeat(20000),
+        '[a]('.repeat(5000),
+        '![a]('.repeat(5000),
+        '*a '.repeat(3000),
+        '**a '.repeat(3000),
+        '_a '.repeat(3000),
+        '~~a '.repeat(3000),
+        '['.repeat(3000) + 'a' + '](u)'.repeat(3000)
+    ];
+
+    for (const input of inputs) {
+        const start = performance.now();
+        renderMarkdown(input);
+        const elapsed = performance.now() - start;
+
+        assert.ok(elapsed < 500, `${JSON.stringify(input.slice(0, 8))}... took ${Math.round(elapsed)} ms`);
+    }
+});
+
+test('links and emphasis nested too deeply are kept as text', () => {
+    const html = renderMarkdown('['.repeat(20) + 'a' + '](u)'.repeat(20));
+
+    assert.equal((html.match(/<a /g) || []).length, 16);
+    assert.equal(renderMarkdown('*'.repeat(3) + 'a' + '*'.repeat(3)), '<p><strong><em>a</em></strong></p>');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { crc32, toAsciiJson, addPngTextChunks, readPngTextChunks } from '../web/png.js';
+
+// A 1x1 transparent PNG
+const png = Uint8Array.from(Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+    'base64'
+));
+
+test('crc32 matches the checksum of the PNG header chunk', () => {
+    const view = new DataView(png.buffer, png.byteOffset);
+    const storedCrc = view.getUint32(8 + 8 + 13);
+
+    assert.equal(crc32(png.subarray(12, 12 + 4 + 13)), storedCrc);
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('toAsciiJson escapes characters outside ASCII and parses back', () => {
+    const value = { text: '노트 ✓ café' };
+    const json = toAsciiJson(value);
+
+    assert.match(json, /^[\x00-\x7e]*$/);
+    assert.deepEqual(JSON.parse(json), value);
+});
+
+test('text chunks are added after the header and read back', () => {
+    const workflow = toAsciiJson({ nodes: [], extra: { stickyNotes: { version: 1, notes: [{ text: '메모' }] } } });
+    const result = addPngTextChunks(png, { workflow });
+
+    assert.equal(result.length, png.length + 12 + 'workflow'.length + 1 + workflow.length);
+    assert.deepEqual(result.subarray(0, 33), png.subarray(0, 33));
+    assert.equal(String.fromCharCode(...result.subarray(37, 41)), 'tEXt');
+    assert.deepEqual(readPngTextChunks(result), { workflow });
+    assert.equal(JSON.parse(readPngTextChunks(result).workflow).extra.stickyNotes.notes[0].text, '메모');
+});
+
+test('chunk checksums of the added chunks are valid', () => {
+    const result = addPngTextChunks(png, { workflow: '{}' });
+    const view = new DataView(result.buffer, result.byteOffset);
+    const length = view.getUint32(33);
+
+    assert.equal(view.getUint32(33 + 8 + length), crc32(result.subarray(37, 33 + 8 + length)));
+});
+
+test('other files are rejected', () => {
+    assert.throws(() => addPngTextChunks(new Uint8Array([1, 2, 3]), {}), /Not a PNG/);
+});
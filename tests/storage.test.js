@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    STORAGE_VERSION,
+    migrateNotesData,
+    createEnvelope,
+    isNewerVersion,
+    replaceLoadedNotesData
+} from '../web/storage.js';
+
+const note = { id: 1, x: 10, y: 20, text: 'Hello', color: 'yellow' };
+
+test('a bare array (version 0) is migrated to the current envelope', () => {
+    const envelope = migrateNotesData([note]);
+
+    assert.equal(envelope.version, STORAGE_VERSION);
+    assert.deepEqual(envelope.notes, [note]);
+});
+
+test('an envelope without a version is treated as version 0', () => {
+    const envelope = migrateNotesData({ notes: [note] });
+
+    assert.equal(envelope.version, STORAGE_VERSION);
+    assert.deepEqual(envelope.notes, [note]);
+});
+
+test('unknown data is not treated as notes', () => {
+    assert.equal(migrateNotesData(null), null);
+    assert.equal(migrateNotesData('notes'), null);
+    assert.equal(migrateNotesData({ version: 1 }), null);
+});
+
+test('envelopes from a newer version are returned unchanged', () => {
+    const future = { version: STORAGE_VERSION + 1, notes: [{ ...note, shape: 'circle' }], layers: ['a'] };
+    const envelope = migrateNotesData(future);
+
+    assert.deepEqual(envelope, future);
+    assert.ok(isNewerVersion(envelope));
+    assert.ok(!isNewerVersion(migrateNotesData([note])));
+});
+
+test('re-saving keeps unknown envelope fields and a newer version number', () => {
+    const loaded = { version: STORAGE_VERSION + 2, layers: ['a'] };
+    const envelope = createEnvelope([note], loaded);
+
+    assert.deepEqual(envelope, { version: STORAGE_VERSION + 2, layers: ['a'], notes: [note] });
+});
+
+test('saving without a loaded envelope writes the current version', () => {
+    assert.deepEqual(createEnvelope([note]), { version: STORAGE_VERSION, notes: [note] });
+});
+
+test('a workflow loaded with a bare array and an empty note matches what the restored notes save', () => {
+    const legacy = [{ id: 1, x: 10, y: 20, text: '' }];
+    const workflow = { nodes: [], extra: { ds: { scale: 1 }, stickyNotes: legacy } };
+
+    // As the extension saves the restored note: migrated envelope, defaults and the placeholder text
+    const saved = createEnvelope([{ ...migrateNotesData(legacy).notes[0], text: 'Double-click to edit', locked: false, collapsed: false }]);
+    const remembered = JSON.parse(JSON.stringify(workflow));
+    const synced = replaceLoadedNotesData(remembered, 'stickyNotes', legacy, saved);
+
+    assert.deepEqual(synced, { nodes: [], extra: { ds: { scale: 1 }, stickyNotes: saved } });
+    assert.deepEqual(remembered, workflow);
+});
+
+test('a workflow with other notes than the loaded ones is left alone', () => {
+    const loaded = createEnvelope([note]);
+    const workflow = { extra: { stickyNotes: createEnvelope([{ ...note, text: 'Edited' }]) } };
+
+    assert.equal(replaceLoadedNotesData(workflow, 'stickyNotes', loaded, createEnvelope([])), workflow);
+    assert.equal(replaceLoadedNotesData(null, 'stickyNotes', loaded, createEnvelope([])), null);
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getViewTransform,
+    getVisibleArea,
+    isRectVisible,
+    placeNoteElement,
+    setNoteCulled,
+    getNoteBounds,
+    cullNotes,
+    layoutNotes,
+    trackViewChange
+} from '../web/viewport.js';
+
+/**
+ * Minimal stand-in for a note element that records style writes
+ */
+function createElement(offsetWidth = 0, offsetHeight = 0) {
+    const classes = new Set();
+    const writes = [];
+    const style = new Proxy({}, {
+        set(target, key, value) {
+            writes.push(key);
+            target[key] = value;
+            return true;
+        }
+    });
+    return {
+        style,
+        writes,
+        offsetWidth,
+        offsetHeight,
+        classList: { toggle: (name, on) => (on ? classes.add(name) : classes.delete(name)) },
+        classes
+    };
+}
+
+test('the view transform maps canvas to screen coordinates like LiteGraph', () => {
+    assert.equal(getViewTransform({ offset: [-100, 50], scale: 2 }), 'scale(2) translate(-100px, 50px)');
+});
+
+test('the visible area is the view in canvas coordinates plus a margin', () => {
+    const ds = { offset: [-100, 50], scale: 2 };
+
+    assert.deepEqual(getVisibleArea(ds, 800, 600, 0), { x: 100, y: -50, width: 400, height: 300 });
+    assert.deepEqual(getVisibleArea(ds, 800, 600, 100), { x: 50, y: -100, width: 500, height: 400 });
+});
+
+test('isRectVisible checks for any overlap with the area', () => {
+    const area = { x: 0, y: 0, width: 100, height: 100 };
+
+    assert.ok(isRectVisible({ x: 90, y: 90, width: 50, height: 50 }, area));
+    assert.ok(isRectVisible({ x: -10, y: -10, width: 200, height: 200 }, area));
+    assert.ok(!isRectVisible({ x: 100, y: 0, width: 50, height: 50 }, area));
+    assert.ok(!isRectVisible({ x: 0, y: -60, width: 50, height: 50 }, area));
+});
+
+test('placeNoteElement writes only positions that changed', () => {
+    const note = { element: createElement(), canvasX: 10, canvasY: 20 };
+
+    placeNoteElement(note);
+    assert.equal(note.element.style.left, '10px');
+    assert.equal(note.element.style.top, '20px');
+
+    placeNoteElement(note);
+    note.canvasY = 30;
+    placeNoteElement(note);
+    assert.deepEqual(note.element.writes, ['left', 'top', 'top']);
+    assert.equal(note.element.style.top, '30px');
+});
+
+test('setNoteCulled toggles the culled class and reports changes', () => {
+    const note = { element: createElement() };
+
+    assert.equal(setNoteCulled(note, false), false);
+    assert.equal(setNoteCulled(note, true), true);
+    assert.ok(note.element.classes.has('culled'));
+    assert.equal(setNoteCulled(note, true), false);
+    assert.equal(setNoteCulled(note, false), true);
+    assert.ok(!note.element.classes.has('culled'));
+});
+
+/**
+ * Minimal note with a laid out element
+ */
+function createNote(canvasX, canvasY, renderedHeight = 100) {
+    return { element: createElement(200, renderedHeight), canvasX, canvasY, width: 200, height: 100 };
+}
+
+test('getNoteBounds uses the rendered height, or the size kept while culled', () => {
+    const note = createNote(10, 20, 150);
+
+    assert.deepEqual(getNoteBounds(note), { x: 10, y: 20, width: 200, height: 150 });
+
+    note.culled = true;
+    note.renderedSize = { width: 200, height: 180 };
+    assert.deepEqual(getNoteBounds(note), { x: 10, y: 20, width: 200, height: 180 });
+
+    note.collapsed = true;
+    note.renderedSize = { width: 120, height: 30 };
+    assert.deepEqual(getNoteBounds(note), { x: 10, y: 20, width: 120, height: 30 });
+});
+
+test('cullNotes culls notes outside the area but never one being edited', () => {
+    const area = { x: 0, y: 0, width: 500, height: 500 };
+    const inside = createNote(100, 100);
+    const outside = createNote(1000, 1000, 140);
+    const editing = { ...createNote(2000, 0), isEditing: true };
+
+    cullNotes([inside, outside, editing], area);
+
+    assert.equal(!!inside.culled, false);
+    assert.equal(outside.culled, true);
+    assert.deepEqual(outside.renderedSize, { width: 200, height: 140 });
+    assert.equal(!!editing.culled, false);
+});
+
+test('cullNotes always culls hidden notes and keeps their last size', () => {
+    const area = { x: 0, y: 0, width: 500, height: 500 };
+    const hidden = { ...createNote(100, 100), hidden: true, renderedSize: { width: 200, height: 90 } };
+
+    cullNotes([hidden], area);
+    assert.equal(hidden.culled, true);
+    assert.deepEqual(hidden.renderedSize, { width: 200, height: 90 });
+
+    hidden.hidden = false;
+    cullNotes([hidden], area);
+    assert.equal(hidden.culled, false);
+});
+
+test('layoutNotes moves the layer, places notes and culls only with a known view size', () => {
+    const layer = { style: {} };
+    const notes = [createNote(0, 0), createNote(5000, 0)];
+    const ds = { offset: [0, 0], scale: 1 };
+
+    assert.equal(layoutNotes(layer, notes, ds, 0, 0), null);
+    assert.equal(layer.style.transform, 'scale(1) translate(0px, 0px)');
+    assert.ok(notes.every(note => !note.culled));
+
+    const area = layoutNotes(layer, notes, ds, 800, 600);
+    assert.deepEqual(area, getVisibleArea(ds, 800, 600));
+    assert.deepEqual(notes.map(note => !!note.culled), [false, true]);
+    assert.equal(notes[1].element.style.left, '5000px');
+});
+
+test('trackViewChange reports pans and zooms once', () => {
+    const lastView = { offset: [0, 0], scale: null };
+    const ds = { offset: [0, 0], scale: 1 };
+
+    assert.equal(trackViewChange(ds, lastView), true);
+    assert.equal(trackViewChange(ds, lastView), false);
+
+    ds.offset[0] = 10;
+    assert.equal(trackViewChange(ds, lastView), true);
+    ds.scale = 2;
+    assert.equal(trackViewChange(ds, lastView), true);
+    assert.equal(trackViewChange(ds, lastView), false);
+});
@@ -0,0 +1,224 @@
+// Export and import of sticky notes as Markdown, JSON or CSV files
+// Every format works on notes in their saved form (as written by serializeNote)
+// so an exported file can be imported again into any workflow.
+//
+// This module has no dependencies on ComfyUI or the DOM so it can be tested under Node.
+
+import { createEnvelope, migrateNotesData } from './storage.js';
+
+// Columns written to and read from CSV files
+const CSV_COLUMNS = ['id', 'x', 'y', 'width', 'height', 'color', 'text'];
+
+// Front-matter fields of each note in a Markdown export
+const FRONT_MATTER_FIELDS = ['color', 'x', 'y', 'width', 'height'];
+
+// Each note in a Markdown export starts with this line (an HTML comment, so it
+// doesn't show when the file is rendered), followed by its front-matter
+const NOTE_MARKER = '<!-- sticky-note -->';
+const FRONT_MATTER = `---\n((?:(?:${FRONT_MATTER_FIELDS.join('|')}): ?.*\n)+)---\n`;
+const NOTE_REGEX = new RegExp(`^${NOTE_MARKER}\n${FRONT_MATTER}`, 'gm');
+// Files exported before the marker was added have only the front-matter
+const LEGACY_NOTE_REGEX = new RegExp(`^${FRONT_MATTER}`, 'gm');
+
+// Spreadsheets treat cells starting with these characters as formulas
+const CSV_FORMULA_REGEX = /^'*[=+\-@\t\r]/;
+
+/**
+ * Sort notes in reading order: top to bottom, then left to right
+ */
+export function sortByPosition(notes) {
+    return [...notes].sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Export notes as one Markdown document, each note preceded by front-matter
+ * with its color and coordinates
+ * @param {Array} notes - Saved notes
+ * @param {string} [title] - Document heading
+ */
+export function exportNotesAsMarkdown(notes, title = 'Sticky Notes') {
+    const sections = sortByPosition(notes).map(note => {
+        const frontMatter = FRONT_MATTER_FIELDS
+            .filter(field => note[field] !== undefined && note[field] !== null)
+            .map(field => `${field}: ${typeof note[field] === 'number' ? Math.round(note[field]) : note[field]}`);
+
+        return `${NOTE_MARKER}\n---\n${frontMatter.join('\n')}\n---\n\n${note.text ?? ''}\n`;
+    });
+
+    return [`# ${title}\n`, ...sections].join('\n');
+}
+
+/**
+ * Export notes as JSON in the same versioned format used inside workflows
+ */
+export function exportNotesAsJson(notes) {
+    return JSON.stringify(createEnvelope(sortByPosition(notes)), null, 2) + '\n';
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * Text that a spreadsheet would run as a formula is prefixed with a quote
+ * (removed again by unescapeCsvField).
+ */
+function escapeCsvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && CSV_FORMULA_REGEX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Remove the quote escapeCsvField puts before text that looks like a formula
+ */
+function unescapeCsvField(text) {
+    return text.startsWith("'") && CSV_FORMULA_REGEX.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Export notes as CSV with one row per note
+ */
+export function exportNotesAsCsv(notes) {
+    const rows = sortByPosition(notes).map(note =>
+        CSV_COLUMNS.map(column => escapeCsvField(note[column])).join(',')
+    );
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of fields (quoted fields may contain line breaks)
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Convert a front-matter or CSV value: numbers become numbers, empty values are dropped
+ */
+function parseValue(value) {
+    const trimmed = value.trim();
+    if (trimmed === '') return undefined;
+    return /^-?\d+(\.\d+)?$/.test(trimmed) ? Number(trimmed) : trimmed;
+}
+
+/**
+ * Import notes from a Markdown export
+ */
+export function importNotesFromMarkdown(text) {
+    const source = text.replace(/\r\n?/g, '\n');
+    let blocks = [...source.matchAll(NOTE_REGEX)];
+    if (blocks.length === 0) {
+        blocks = [...source.matchAll(LEGACY_NOTE_REGEX)];
+    }
+
+    return blocks.map((block, index) => {
+        const note = {};
+        for (const line of block[1].split('\n').filter(Boolean)) {
+            const separator = line.indexOf(':');
+            const value = parseValue(line.slice(separator + 1));
+            if (value !== undefined) {
+                note[line.slice(0, separator).trim()] = value;
+            }
+        }
+
+        const start = block.index + block[0].length;
+        const end = index + 1 < blocks.length ? blocks[index + 1].index : source.length;
+        note.text = source.slice(start, end).replace(/^\n+/, '').replace(/\n+$/, '');
+
+        return note;
+    });
+}
+
+/**
+ * Import notes from a JSON export (or a bare array of notes)
+ */
+export function importNotesFromJson(text) {
+    const envelope = migrateNotesData(JSON.parse(text));
+    if (!envelope) {
+        throw new Error('The JSON file does not contain sticky notes');
+    }
+    return envelope.notes;
+}
+
+/**
+ * Import notes from a CSV export (columns are matched by their header)
+ */
+export function importNotesFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    return rows
+        .filter(row => row.some(field => field !== ''))
+        .map(row => {
+            const note = {};
+            columns.forEach((column, i) => {
+                if (!CSV_COLUMNS.includes(column) || row[i] === undefined) return;
+
+                const field = unescapeCsvField(row[i]);
+                const value = column === 'text' ? field : parseValue(field);
+                if (value !== undefined) {
+                    note[column] = value;
+                }
+            });
+            return note;
+        });
+}
+
+/**
+ * Import notes from a file exported in any of the formats
+ * The format is taken from the file extension, or guessed from the content.
+ * @returns {Array} Notes in saved form
+ */
+export function importNotes(text, filename = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+    const content = text.replace(/^\uFEFF/, '');
+
+    if (extension === 'json') return importNotesFromJson(content);
+    if (extension === 'csv') return importNotesFromCsv(content);
+    if (extension === 'md' || extension === 'markdown') return importNotesFromMarkdown(content);
+
+    const start = content.trimStart();
+    if (start.startsWith('{') || start.startsWith('[')) return importNotesFromJson(content);
+    if (start.toLowerCase().startsWith(CSV_COLUMNS[0] + ',')) return importNotesFromCsv(content);
+    return importNotesFromMarkdown(content);
+}
@@ -0,0 +1,340 @@
+// Geometry for placing notes: grid snapping, alignment guides and arranging
+// Rectangles are { x, y, width, height } in canvas coordinates.
+//
+// This module has no dependencies on ComfyUI or the DOM so it can be tested under Node.
+
+// Lines of a rectangle that can be aligned, per axis
+const ALIGNMENT_LINES = ['start', 'center', 'end'];
+
+/**
+ * Round a coordinate to the nearest grid line
+ * @param {number} value - Coordinate
+ * @param {number} gridSize - Grid spacing (no snapping when 0 or less)
+ */
+export function snapToGrid(value, gridSize) {
+    return gridSize > 0 ? Math.round(value / gridSize) * gridSize : value;
+}
+
+/**
+ * Get the start, center and end of a rectangle along an axis
+ * @param {Object} rect - Rectangle
+ * @param {'x'|'y'} axis
+ */
+export function getAlignmentLines(rect, axis) {
+    const start = axis === 'x' ? rect.x : rect.y;
+    const size = axis === 'x' ? rect.width : rect.height;
+    return { start, center: start + size / 2, end: start + size };
+}
+
+/**
+ * Get the bounding rectangle of several rectangles
+ */
+export function getBoundingRect(rects) {
+    const left = Math.min(...rects.map(r => r.x));
+    const top = Math.min(...rects.map(r => r.y));
+    const right = Math.max(...rects.map(r => r.x + r.width));
+    const bottom = Math.max(...rects.map(r => r.y + r.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Find the smallest shift along one axis that lines up one of the moving lines
+ * with a line of a target
+ * @returns {number|null} The shift, or null if nothing is within the threshold
+ */
+function findAxisSnap(rect, targets, axis, lines, threshold) {
+    const moving = getAlignmentLines(rect, axis);
+    let best = null;
+
+    for (const target of targets) {
+        const targetLines = getAlignmentLines(target, axis);
+
+        for (const line of lines) {
+            for (const targetLine of ALIGNMENT_LINES) {
+                const shift = targetLines[targetLine] - moving[line];
+                if (Math.abs(shift) <= threshold && (best === null || Math.abs(shift) < Math.abs(best))) {
+                    best = shift;
+                }
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Get the guides to show for a rectangle that lines up with targets
+ * Each guide spans the rectangle and every target sharing that line.
+ * @returns {Array<{axis: 'x'|'y', position: number, from: number, to: number}>}
+ */
+export function getAlignmentGuides(rect, targets, lines = ALIGNMENT_LINES) {
+    const guides = [];
+
+    for (const axis of ['x', 'y']) {
+        const other = axis === 'x' ? 'y' : 'x';
+        const moving = getAlignmentLines(rect, axis);
+        const movingSpan = getAlignmentLines(rect, other);
+
+        for (const position of new Set(lines.map(line => moving[line]))) {
+            let from = movingSpan.start;
+            let to = movingSpan.end;
+            let aligned = false;
+
+            for (const target of targets) {
+                const targetLines = getAlignmentLines(target, axis);
+                if (!ALIGNMENT_LINES.some(line => Math.abs(targetLines[line] - position) < 0.5)) continue;
+
+                const targetSpan = getAlignmentLines(target, other);
+                from = Math.min(from, targetSpan.start);
+                to = Math.max(to, targetSpan.end);
+                aligned = true;
+            }
+
+            if (aligned) {
+                guides.push({ axis, position, from, to });
+            }
+        }
+    }
+
+    return guides;
+}
+
+/**
+ * Snap a moved rectangle: to the edges and centers of targets within the threshold,
+ * otherwise to the grid
+ * @param {Object} rect - Rectangle at its unsnapped position
+ * @param {Array} targets - Rectangles to align with
+ * @param {Object} options
+ * @param {number} [options.threshold] - Largest distance to snap to a target line
+ * @param {number} [options.gridSize] - Grid spacing, 0 for no grid
+ * @returns {{x: number, y: number, guides: Array}} Snapped position and guides to show
+ */
+export function snapMove(rect, targets, { threshold = 0, gridSize = 0 } = {}) {
+    const snapped = { ...rect };
+
+    for (const axis of ['x', 'y']) {
+        const shift = threshold > 0 ? findAxisSnap(rect, targets, axis, ALIGNMENT_LINES, threshold) : null;
+        snapped[axis] = shift !== null ? rect[axis] + shift : snapToGrid(rect[axis], gridSize);
+    }
+
+    return {
+        x: snapped.x,
+        y: snapped.y,
+        guides: threshold > 0 ? getAlignmentGuides(snapped, targets) : []
+    };
+}
+
+/**
+ * Snap a resized rectangle: its right and bottom edges move to target lines
+ * within the threshold, otherwise to the grid
+ * @param {Object} rect - Rectangle at its unsnapped size
+ * @param {Array} targets - Rectangles to align with
+ * @param {Object} options - Same as snapMove
+ * @returns {{width: number, height: number, guides: Array}} Snapped size and guides to show
+ */
+export function snapResize(rect, targets, { threshold = 0, gridSize = 0 } = {}) {
+    const snapped = { ...rect };
+
+    for (const axis of ['x', 'y']) {
+        const size = axis === 'x' ? 'width' : 'height';
+        const shift = threshold > 0 ? findAxisSnap(rect, targets, axis, ['end'], threshold) : null;
+        const end = shift !== null
+            ? rect[axis] + rect[size] + shift
+            : snapToGrid(rect[axis] + rect[size], gridSize);
+        snapped[size] = end - rect[axis];
+    }
+
+    return {
+        width: snapped.width,
+        height: snapped.height,
+        guides: threshold > 0 ? getAlignmentGuides(snapped, targets, ['end']) : []
+    };
+}
+
+/**
+ * Line rectangles up along an edge or center of their bounding rectangle
+ * @param {Array} rects - Rectangles
+ * @param {'left'|'right'|'top'|'bottom'|'center'|'middle'} edge - `center` lines up
+ *   horizontal centers (a column), `middle` vertical centers (a row)
+ * @returns {Array<{x: number, y: number}>} New positions, in the order of `rects`
+ */
+export function alignRects(rects, edge) {
+    const bounds = getBoundingRect(rects);
+
+    return rects.map(rect => {
+        switch (edge) {
+            case 'left': return { x: bounds.x, y: rect.y };
+            case 'right': return { x: bounds.x + bounds.width - rect.width, y: rect.y };
+            case 'top': return { x: rect.x, y: bounds.y };
+            case 'bottom': return { x: rect.x, y: bounds.y + bounds.height - rect.height };
+            case 'center': return { x: bounds.x + (bounds.width - rect.width) / 2, y: rect.y };
+            case 'middle': return { x: rect.x, y: bounds.y + (bounds.height - rect.height) / 2 };
+            default: throw new Error(`Unknown alignment: ${edge}`);
+        }
+    });
+}
+
+/**
+ * Spread rectangles so the gaps between them are equal along an axis
+ * The first and last rectangle stay where they are.
+ * @param {Array} rects - Rectangles
+ * @param {'x'|'y'} axis
+ * @returns {Array<{x: number, y: number}>} New positions, in the order of `rects`
+ */
+export function distributeRects(rects, axis) {
+    const size = axis === 'x' ? 'width' : 'height';
+    const positions = rects.map(rect => ({ x: rect.x, y: rect.y }));
+    if (rects.length < 3) return positions;
+
+    const order = rects.map((rect, index) => index).sort((a, b) => rects[a][axis] - rects[b][axis]);
+    const first = rects[order[0]];
+    const last = rects[order[order.length - 1]];
+    const totalSize = rects.reduce((sum, rect) => sum + rect[size], 0);
+    const gap = (last[axis] + last[size] - first[axis] - totalSize) / (rects.length - 1);
+
+    let position = first[axis];
+    for (const index of order) {
+        positions[index][axis] = position;
+        position += rects[index][size] + gap;
+    }
+
+    return positions;
+}
+
+/**
+ * Stack rectangles into a column at the top-left of their bounding rectangle,
+ * keeping their top-to-bottom order
+ * @param {Array} rects - Rectangles
+ * @param {number} [gap] - Space between rectangles
+ * @returns {Array<{x: number, y: number}>} New positions, in the order of `rects`
+ */
+export function stackRects(rects, gap = 20) {
+    const bounds = getBoundingRect(rects);
+    const order = rects.map((rect, index) => index).sort((a, b) => rects[a].y - rects[b].y || rects[a].x - rects[b].x);
+    const positions = [];
+
+    let y = bounds.y;
+    for (const index of order) {
+        positions[index] = { x: bounds.x, y };
+        y += rects[index].height + gap;
+    }
+
+    return positions;
+}
+
+/**
+ * Arrange rectangles in a grid in reading order, starting at the top-left of their
+ * bounding rectangle. Columns are as wide as their widest rectangle and rows as
+ * tall as their tallest.
+ * @param {Array} rects - Rectangles
+ * @param {Object} [options]
+ * @param {number} [options.columns] - Number of columns (default: about a square)
+ * @param {number} [options.gap] - Space between rectangles
+ * @returns {Array<{x: number, y: number}>} New positions, in the order of `rects`
+ */
+export function gridRects(rects, { columns = Math.ceil(Math.sqrt(rects.length)), gap = 20 } = {}) {
+    const bounds = getBoundingRect(rects);
+    const order = rects.map((rect, index) => index).sort((a, b) => rects[a].y - rects[b].y || rects[a].x - rects[b].x);
+
+    const columnWidths = [];
+    const rowHeights = [];
+    order.forEach((index, i) => {
+        const column = i % columns;
+        const row = Math.floor(i / columns);
+        columnWidths[column] = Math.max(columnWidths[column] ?? 0, rects[index].width);
+        rowHeights[row] = Math.max(rowHeights[row] ?? 0, rects[index].height);
+    });
+
+    const offsets = (sizes) => sizes.reduce((acc, size, i) => [...acc, acc[i] + size + gap], [0]);
+    const columnX = offsets(columnWidths);
+    const rowY = offsets(rowHeights);
+
+    const positions = [];
+    order.forEach((index, i) => {
+        positions[index] = {
+            x: bounds.x + columnX[i % columns],
+            y: bounds.y + rowY[Math.floor(i / columns)]
+        };
+    });
+
+    return positions;
+}
+
+/**
+ * Check whether two rectangles overlap
+ */
+export function rectsOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width &&
+        a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Move rectangles off the obstacles they overlap, each by the shortest way out
+ * A rectangle pushed onto another obstacle is pushed again, a limited number of times.
+ * @param {Array} rects - Rectangles to move
+ * @param {Array} obstacles - Rectangles to keep clear (e.g. nodes)
+ * @param {number} [gap] - Space to leave between a moved rectangle and an obstacle
+ * @returns {Array<{x: number, y: number}>} New positions, in the order of `rects`
+ */
+export function pushOffRects(rects, obstacles, gap = 20) {
+    return rects.map(rect => {
+        const moved = { ...rect };
+
+        for (let attempt = 0; attempt <= obstacles.length; attempt++) {
+            const obstacle = obstacles.find(o => rectsOverlap(moved, o));
+            if (!obstacle) break;
+
+            const moves = [
+                { x: obstacle.x - gap - moved.width, y: moved.y },
+                { x: obstacle.x + obstacle.width + gap, y: moved.y },
+                { x: moved.x, y: obstacle.y - gap - moved.height },
+                { x: moved.x, y: obstacle.y + obstacle.height + gap }
+            ];
+            const distance = (p) => Math.abs(p.x - moved.x) + Math.abs(p.y - moved.y);
+            const shortest = moves.reduce((best, p) => distance(p) < distance(best) ? p : best);
+
+            moved.x = shortest.x;
+            moved.y = shortest.y;
+        }
+
+        return { x: moved.x, y: moved.y };
+    });
+}
+
+/**
+ * Convert a note's attachment offset to a canvas position for the node's current state
+ * Notes right of or below the node body move in when the node is collapsed.
+ * @param {Object} node - LiteGraph node (`pos`, `size` and `flags`)
+ * @param {Object} attachedTo - Offset from the node's position (`dx`, `dy`)
+ * @param {number} collapsedWidth - Width of the node while collapsed
+ */
+export function attachmentToPosition(node, attachedTo, collapsedWidth) {
+    let x = node.pos[0] + attachedTo.dx;
+    let y = node.pos[1] + attachedTo.dy;
+
+    if (node.flags?.collapsed) {
+        if (attachedTo.dx >= node.size[0]) x -= node.size[0] - collapsedWidth;
+        if (attachedTo.dy >= node.size[1]) y -= node.size[1];
+    }
+
+    return { x, y };
+}
+
+/**
+ * Convert a canvas position to an attachment offset (inverse of attachmentToPosition)
+ * @param {Object} node - LiteGraph node (`id`, `pos`, `size` and `flags`)
+ * @param {number} x - Canvas position of the note
+ * @param {number} y
+ * @param {number} collapsedWidth - Width of the node while collapsed
+ */
+export function positionToAttachment(node, x, y, collapsedWidth) {
+    let dx = x - node.pos[0];
+    let dy = y - node.pos[1];
+
+    if (node.flags?.collapsed) {
+        if (dx >= collapsedWidth) dx += node.size[0] - collapsedWidth;
+        if (dy >= 0) dy += node.size[1];
+    }
+
+    return { nodeId: node.id, dx, dy };
+}
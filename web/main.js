@@ -1,7 +1,33 @@
 // ComfyUI Sticky Notes Extension
 // Registers with the ComfyUI extension system
 
+import { renderMarkdown, renderPlainText, escapeHtml, toggleTaskMarker } from './markdown.js';
+import { migrateNotesData, createEnvelope, isNewerVersion, replaceLoadedNotesData } from './storage.js';
+import { exportNotesAsMarkdown, exportNotesAsJson, exportNotesAsCsv, importNotes } from './exchange.js';
+import {
+    snapMove,
+    snapResize,
+    getBoundingRect,
+    alignRects,
+    distributeRects,
+    stackRects,
+    gridRects,
+    pushOffRects,
+    attachmentToPosition,
+    positionToAttachment
+} from './layout.js';
+import {
+    isRectVisible,
+    placeNoteElement,
+    setNoteCulled,
+    getNoteBounds,
+    layoutNotes,
+    trackViewChange
+} from './viewport.js';
+import { addPngTextChunks, toAsciiJson } from './png.js';
+
 const { app } = window.comfyAPI.app;
+const { api } = window.comfyAPI.api;
 
 // Store all sticky notes
 const stickyNotes = [];
@@ -10,106 +36,460 @@ let noteIdCounter = 0;
 // Extension identifier for workflow metadata
 const EXTENSION_KEY = 'stickyNotes';
 
+// What the current workflow's notes were loaded from, so re-saving never loses data:
+// the storage envelope (its unknown fields are written back), saved notes that
+// couldn't be loaded, and saved data in a format that couldn't be read at all
+let loadedEnvelope = null;
+let unloadedNotes = [];
+let unreadableNotesData = null;
+
+// Saved notes of a workflow being loaded, written back as they are until they are
+// restored (see hookGraphLoading), and a count of loads so only the last one restores
+let pendingNotesData = null;
+let graphLoadCount = 0;
+
+// Workflow-wide viewer mode: every note is read-only (saved with the workflow)
+let viewerMode = false;
+
 // Overlay element reference
 let overlay = null;
 
+// Notes are drawn on the canvas instead of the overlay: when zoomed out below
+// the canvas zoom threshold, and while the workflow is exported as an image
+let canvasRendering = false;
+let exportingImage = false;
+
+// Whether the notes will be restacked on the next frame (see scheduleZOrder)
+let zOrderScheduled = false;
+
+// Layer holding the note elements, laid out in canvas coordinates
+// Panning and zooming only change its transform (see layoutNotes in viewport.js).
+let noteLayer = null;
+
+// Layer for the alignment guides shown while dragging or resizing
+let guideLayer = null;
+
+// Size of the overlay in screen pixels and the canvas area it shows (for culling)
+const viewSize = { width: 0, height: 0 };
+let visibleArea = null;
+
 // Canvas reference for coordinate conversion
 let canvasEl = null;
 
-// Currently selected note
-let selectedNoteId = null;
+// True while createNotesFromSaved builds many notes; connectors and canvas
+// notes are then updated once at the end instead of after every note
+let creatingNotes = false;
+
+// Currently selected notes (IDs)
+const selectedNoteIds = new Set();
+
+// Undo/redo history of note operations (commands with undo/redo functions)
+// Only used on frontends without a change tracker (see getChangeTracker); otherwise
+// note changes go into ComfyUI's own history together with graph changes.
+const undoStack = [];
+const redoStack = [];
+const MAX_HISTORY = 100;
+
+// What changed last: 'notes' or 'graph'. Ctrl+Z is only taken over when a note
+// was the last thing changed, otherwise ComfyUI's own graph undo handles it.
+let lastChangeSource = null;
+
+// Note waiting for a node click to attach to (null when not in attach mode)
+let attachingNoteId = null;
+
+// SVG layer for connector arrows and the drawn path of each connector
+const SVG_NS = 'http://www.w3.org/2000/svg';
+let connectorLayer = null;
+const connectorElements = new Map();
+let connectorIdCounter = 0;
+
+// Currently selected connector ({ noteId, connectorId } or null)
+let selectedConnector = null;
+
+// Find-in-notes search panel (null when closed)
+let searchPanel = null;
+const MAX_SEARCH_RESULTS = 50;
+
+// Note templates, stored in the user data directory with a localStorage fallback
+// (null until first loaded), and the template picker (null when closed)
+const TEMPLATES_FILE = 'sticky-notes-templates.json';
+const TEMPLATES_STORAGE_KEY = 'Comfy.StickyNotes.Templates';
+const DEFAULT_TEMPLATES = [
+    {
+        name: 'Inputs / Outputs / Known issues',
+        text: '## Inputs\n- \n\n## Outputs\n- \n\n## Known issues\n- [ ] ',
+        color: 'blue',
+        width: 280,
+        height: 200
+    },
+    {
+        name: 'Model credits',
+        text: '## Model credits\n- **Model**: \n- **Author**: \n- **Source**: ',
+        color: 'green',
+        width: 280,
+        height: 140
+    },
+    {
+        name: 'License notice',
+        text: '## License\nThis workflow uses models released under the following licenses:\n- ',
+        color: 'gray',
+        width: 300,
+        height: 140
+    }
+];
+let noteTemplates = null;
+let templatePicker = null;
+
+// Note list (sidebar tab and/or floating panel) containers and view state
+const NOTE_LIST_SIDEBAR_ID = 'sticky-notes-list';
+const noteListContainers = new Set();
+let noteListPanel = null;
+let noteListUpdateScheduled = false;
+const noteListState = { sort: 'created-desc', color: null };
 
 // Global event handlers (stored for cleanup)
 let globalKeyDownHandler = null;
 let globalKeyUpHandler = null;
 
-// Available colors for sticky notes
+// Available colors for sticky notes (with variants for dark themes)
 const NOTE_COLORS = {
-    yellow: { bg: '#fef3c7', text: '#92400e', name: 'Yellow' },
-    pink:   { bg: '#fce7f3', text: '#9d174d', name: 'Pink' },
-    blue:   { bg: '#dbeafe', text: '#1e40af', name: 'Blue' },
-    green:  { bg: '#dcfce7', text: '#166534', name: 'Green' },
-    gray:   { bg: '#f3f4f6', text: '#374151', name: 'Gray' }
+    yellow: { bg: '#fef3c7', text: '#92400e', darkBg: '#4a3b14', darkText: '#fde68a', name: 'Yellow' },
+    pink:   { bg: '#fce7f3', text: '#9d174d', darkBg: '#4c1d36', darkText: '#fbcfe8', name: 'Pink' },
+    blue:   { bg: '#dbeafe', text: '#1e40af', darkBg: '#1e2f50', darkText: '#bfdbfe', name: 'Blue' },
+    green:  { bg: '#dcfce7', text: '#166534', darkBg: '#173d27', darkText: '#bbf7d0', name: 'Green' },
+    gray:   { bg: '#f3f4f6', text: '#374151', darkBg: '#303338', darkText: '#e5e7eb', name: 'Gray' }
 };
 
 const DEFAULT_COLOR = 'yellow';
 
+// Whether ComfyUI's active color palette is dark (kept in sync by setupThemeTracking)
+let darkTheme = false;
+
+// Per-note text styling
+const DEFAULT_FONT_SIZE = 14;
+const MIN_FONT_SIZE = 10;
+const MAX_FONT_SIZE = 32;
+const FONT_FAMILIES = {
+    sans: { name: 'Sans', css: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" },
+    mono: { name: 'Mono', css: "'SF Mono', Monaco, Consolas, 'Liberation Mono', monospace" },
+    hand: { name: 'Handwritten', css: "'Comic Sans MS', 'Chalkboard SE', 'Comic Neue', 'Segoe Print', cursive" }
+};
+const DEFAULT_FONT_FAMILY = 'sans';
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+// User-defined palette of custom colors (hex), kept in localStorage
+const PALETTE_STORAGE_KEY = 'Comfy.StickyNotes.Palette';
+const MAX_PALETTE_COLORS = 8;
+let customPalette = loadCustomPalette();
+
+// Pasted or dropped images up to this size are stored in the note as data URLs;
+// larger ones are uploaded to ComfyUI's input folder and referenced through /view
+const MAX_INLINE_IMAGE_BYTES = 256 * 1024;
+const IMAGE_UPLOAD_SUBFOLDER = 'sticky-notes';
+
 // Default and minimum dimensions for notes
 const DEFAULT_WIDTH = 240;
 const DEFAULT_HEIGHT = 120;
 const MIN_WIDTH = 120;
 const MIN_HEIGHT = 80;
 
+// Smallest text size in screen pixels drawn on the canvas; smaller text is left out
+const MIN_CANVAS_TEXT_SIZE = 5;
+
+// Exported workflow images: space around the graph and largest side in pixels
+const EXPORT_IMAGE_PADDING = 40;
+const MAX_EXPORT_IMAGE_SIZE = 8192;
+// Display options of the canvas on screen that exported images are drawn with
+const EXPORT_CANVAS_OPTIONS = [
+    'background_image',
+    'clear_background_color',
+    'links_render_mode',
+    'render_shadows',
+    'render_connection_arrows',
+    'render_canvas_border'
+];
+
+// Distance in screen pixels within which notes snap to other notes' and nodes' edges
+const SNAP_DISTANCE = 6;
+const DEFAULT_GRID_SIZE = 10;
+
+// Current values of the extension's ComfyUI settings (see SETTING_DEFINITIONS)
+const settings = {
+    showNotes: true,
+    defaultWidth: DEFAULT_WIDTH,
+    defaultHeight: DEFAULT_HEIGHT,
+    defaultColor: DEFAULT_COLOR,
+    placeholder: 'New note...',
+    createKey: 'T',
+    saveKey: 'enter',
+    copyShortcut: 'Ctrl+C',
+    pasteShortcut: 'Ctrl+V',
+    duplicateShortcut: 'Ctrl+D',
+    deleteShortcut: 'Delete, Backspace',
+    snapToGrid: 'comfy',
+    alignmentGuides: true,
+    canvasZoomThreshold: 0.5
+};
+
+// Settings registered with ComfyUI; each one writes its value into `settings`
+const SETTING_DEFINITIONS = [
+    {
+        key: 'showNotes',
+        id: 'StickyNotes.General.ShowNotes',
+        category: ['Sticky Notes', 'General', 'Show notes'],
+        name: 'Show sticky notes',
+        type: 'boolean',
+        onChange: applyNotesVisibility
+    },
+    {
+        key: 'canvasZoomThreshold',
+        id: 'StickyNotes.General.CanvasZoomThreshold',
+        category: ['Sticky Notes', 'General', 'Canvas zoom threshold'],
+        name: 'Draw notes as simple cards on the canvas below this zoom level',
+        tooltip: 'Zoomed out further, notes show their color, title and first lines. 0 always shows full notes.',
+        type: 'number',
+        attrs: { min: 0, max: 2, step: 0.05 },
+        onChange: () => app.canvas?.setDirty(true, true)
+    },
+    {
+        key: 'defaultWidth',
+        id: 'StickyNotes.NewNotes.Width',
+        category: ['Sticky Notes', 'New notes', 'Width'],
+        name: 'Width of new notes',
+        type: 'number',
+        attrs: { min: MIN_WIDTH, max: 1200, step: 10 }
+    },
+    {
+        key: 'defaultHeight',
+        id: 'StickyNotes.NewNotes.Height',
+        category: ['Sticky Notes', 'New notes', 'Height'],
+        name: 'Height of new notes',
+        type: 'number',
+        attrs: { min: MIN_HEIGHT, max: 1200, step: 10 }
+    },
+    {
+        key: 'defaultColor',
+        id: 'StickyNotes.NewNotes.Color',
+        category: ['Sticky Notes', 'New notes', 'Color'],
+        name: 'Color of new notes',
+        type: 'combo',
+        options: Object.entries(NOTE_COLORS).map(([value, color]) => ({ text: color.name, value }))
+    },
+    {
+        key: 'placeholder',
+        id: 'StickyNotes.NewNotes.Placeholder',
+        category: ['Sticky Notes', 'New notes', 'Placeholder'],
+        name: 'Text of new notes',
+        type: 'text'
+    },
+    {
+        key: 'createKey',
+        id: 'StickyNotes.Shortcuts.CreateKey',
+        category: ['Sticky Notes', 'Shortcuts', 'Create key'],
+        name: 'Key to hold while clicking the canvas to create a note (empty to disable)',
+        type: 'text'
+    },
+    {
+        key: 'saveKey',
+        id: 'StickyNotes.Editing.SaveKey',
+        category: ['Sticky Notes', 'Editing', 'Save key'],
+        name: 'Key that finishes editing a note',
+        type: 'combo',
+        options: [
+            { text: 'Enter (Shift+Enter for a newline)', value: 'enter' },
+            { text: 'Ctrl+Enter (Enter for a newline)', value: 'ctrl-enter' }
+        ]
+    },
+    {
+        key: 'copyShortcut',
+        id: 'StickyNotes.Shortcuts.Copy',
+        category: ['Sticky Notes', 'Shortcuts', 'Copy'],
+        name: 'Copy selected notes',
+        tooltip: 'Key combination like Ctrl+C; separate alternatives with commas',
+        type: 'text'
+    },
+    {
+        key: 'pasteShortcut',
+        id: 'StickyNotes.Shortcuts.Paste',
+        category: ['Sticky Notes', 'Shortcuts', 'Paste'],
+        name: 'Paste notes',
+        tooltip: 'Key combination like Ctrl+V; separate alternatives with commas',
+        type: 'text'
+    },
+    {
+        key: 'duplicateShortcut',
+        id: 'StickyNotes.Shortcuts.Duplicate',
+        category: ['Sticky Notes', 'Shortcuts', 'Duplicate'],
+        name: 'Duplicate selected notes',
+        tooltip: 'Key combination like Ctrl+D; separate alternatives with commas',
+        type: 'text'
+    },
+    {
+        key: 'deleteShortcut',
+        id: 'StickyNotes.Shortcuts.Delete',
+        category: ['Sticky Notes', 'Shortcuts', 'Delete'],
+        name: 'Delete selected notes or connector',
+        tooltip: 'Key combination like Delete; separate alternatives with commas',
+        type: 'text'
+    },
+    {
+        key: 'snapToGrid',
+        id: 'StickyNotes.Layout.SnapToGrid',
+        category: ['Sticky Notes', 'Layout', 'Snap to grid'],
+        name: 'Snap notes to the grid when moving and resizing',
+        tooltip: 'Hold Alt while dragging to place a note freely',
+        type: 'combo',
+        options: [
+            { text: 'Like nodes (ComfyUI snap setting)', value: 'comfy' },
+            { text: 'Always', value: 'always' },
+            { text: 'Never', value: 'never' }
+        ]
+    },
+    {
+        key: 'alignmentGuides',
+        id: 'StickyNotes.Layout.AlignmentGuides',
+        category: ['Sticky Notes', 'Layout', 'Alignment guides'],
+        name: 'Align notes with other notes and nodes while dragging, with guides',
+        tooltip: 'Hold Alt while dragging to place a note freely',
+        type: 'boolean'
+    }
+];
+
+// How often live widget values ({{12.seed}}) are checked for changes (ms)
+const WIDGET_REFRESH_INTERVAL = 250;
+let lastWidgetRefresh = 0;
+let widgetRefreshTimer = null;
+
 /**
- * Simple Markdown parser for sticky notes
- * Supports: **bold**, *italic*, `code`, ~~strikethrough~~, [links](url), headers, lists, blockquotes
+ * Render a note's markdown to HTML (see markdown.js for the supported syntax)
+ * Node references ([[#12]] by ID, [[KSampler]] by title or type) become clickable chips,
+ * and widget placeholders ({{12.seed}}) show the widget's current value.
  */
 function parseMarkdown(text) {
-    if (!text) return '';
+    return renderMarkdown(text, { renderNodeReference, renderWidgetReference, origin: location.origin });
+}
 
-    let html = text
-        // Escape HTML first
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
+/**
+ * Find the node a reference points to
+ * @param {string} ref - "#12" for a node ID, otherwise a node title or type
+ * @returns {Object|null} The LiteGraph node, or null if it doesn't exist
+ */
+function resolveNodeReference(ref) {
+    if (/^#\d+$/.test(ref)) {
+        return app.graph?.getNodeById(Number(ref.slice(1))) || null;
+    }
 
-        // Headers (must be at start of line)
-        .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-        .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-        .replace(/^# (.+)$/gm, '<h1>$1</h1>')
+    const nodes = app.graph?._nodes || [];
+    return nodes.find(n => n.title === ref) || nodes.find(n => n.type === ref) || null;
+}
 
-        // Blockquotes
-        .replace(/^&gt; (.+)$/gm, '<blockquote>$1</blockquote>')
+/**
+ * Render a node reference as a chip showing the node's current title
+ * @param {string} ref - The reference text between [[ and ]]
+ */
+function renderNodeReference(ref) {
+    const node = resolveNodeReference(ref);
 
-        // Code blocks (triple backticks)
-        .replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
+    if (!node) {
+        return `<span class="sticky-note-node-ref broken" title="Node not found">${escapeHtml(ref)}</span>`;
+    }
 
-        // Inline code
-        .replace(/`([^`]+)`/g, '<code>$1</code>')
+    const title = node.title || node.type || `#${node.id}`;
+    return `<span class="sticky-note-node-ref" data-node-ref="${escapeHtml(ref)}" ` +
+        `title="Go to node #${node.id}">${escapeHtml(title)}</span>`;
+}
 
-        // Bold (** or __)
-        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+/**
+ * Re-render notes containing node references (titles change, nodes come and go)
+ */
+function refreshNodeReferences() {
+    for (const note of stickyNotes) {
+        if (!note.isEditing && (note.text.includes('[[') || note.text.includes('{{'))) {
+            renderNoteContent(note);
+        }
+    }
+}
 
-        // Italic (* or _)
-        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-        .replace(/_([^_]+)_/g, '<em>$1</em>')
+/**
+ * Get the current value of a node's widget, or undefined if the node or widget doesn't exist
+ * @param {string} ref - Node reference (see resolveNodeReference)
+ * @param {string} widgetName - Widget name (or label)
+ */
+function getWidgetValue(ref, widgetName) {
+    const node = resolveNodeReference(ref);
+    const widget = node?.widgets?.find(w => w.name === widgetName) ||
+        node?.widgets?.find(w => w.label === widgetName);
 
-        // Strikethrough
-        .replace(/~~(.+?)~~/g, '<del>$1</del>')
+    return widget ? widget.value : undefined;
+}
 
-        // Links
-        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>')
+/**
+ * Format a widget value for display
+ */
+function formatWidgetValue(value) {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        return String(Math.round(value * 10000) / 10000);
+    }
+    if (value !== null && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value ?? '');
+}
 
-        // Unordered lists
-        .replace(/^[\-\*] (.+)$/gm, '<li>$1</li>')
+/**
+ * Render a widget placeholder as HTML showing the widget's current value
+ * The placeholder text is shown (marked broken) when the node or widget is missing.
+ */
+function renderWidgetReference(ref, widgetName) {
+    const attrs = `data-widget-node="${escapeHtml(ref)}" data-widget-name="${escapeHtml(widgetName)}"`;
+    const value = getWidgetValue(ref, widgetName);
 
-        // Ordered lists
-        .replace(/^\d+\. (.+)$/gm, '<li>$1</li>')
+    if (value === undefined) {
+        return `<span class="sticky-note-widget-value broken" ${attrs} title="Widget not found">` +
+            `${escapeHtml(getWidgetPlaceholder(ref, widgetName))}</span>`;
+    }
 
-        // Horizontal rule
-        .replace(/^---$/gm, '<hr>')
+    return `<span class="sticky-note-widget-value" ${attrs} title="${escapeHtml(getWidgetPlaceholder(ref, widgetName))}">` +
+        `${escapeHtml(formatWidgetValue(value))}</span>`;
+}
 
-        // Line breaks (preserve newlines)
-        .replace(/\n/g, '<br>');
+/**
+ * Get the placeholder text for a widget reference, as typed in a note
+ */
+function getWidgetPlaceholder(ref, widgetName) {
+    const node = ref.startsWith('#') ? ref.slice(1) : `"${ref.replace(/(["\\])/g, '\\$1')}"`;
+    return `{{${node}.${widgetName}}}`;
+}
 
-    // Wrap consecutive <li> elements in <ul>
-    html = html.replace(/(<li>.*?<\/li>)(<br>)?/g, '$1');
-    html = html.replace(/((?:<li>.*?<\/li>)+)/g, '<ul>$1</ul>');
+/**
+ * Update displayed widget values that changed since the notes were rendered
+ */
+function refreshWidgetValues() {
+    let redraw = false;
 
-    // Clean up extra <br> around block elements
-    html = html.replace(/<br>(<h[1-3]>)/g, '$1');
-    html = html.replace(/(<\/h[1-3]>)<br>/g, '$1');
-    html = html.replace(/<br>(<blockquote>)/g, '$1');
-    html = html.replace(/(<\/blockquote>)<br>/g, '$1');
-    html = html.replace(/<br>(<ul>)/g, '$1');
-    html = html.replace(/(<\/ul>)<br>/g, '$1');
-    html = html.replace(/<br>(<pre>)/g, '$1');
-    html = html.replace(/(<\/pre>)<br>/g, '$1');
-    html = html.replace(/<br>(<hr>)/g, '$1');
-    html = html.replace(/(<hr>)<br>/g, '$1');
+    for (const note of stickyNotes) {
+        if (note.isEditing || !note.text.includes('{{')) continue;
+
+        for (const span of note.element.querySelectorAll('.sticky-note-widget-value')) {
+            const { widgetNode, widgetName } = span.dataset;
+            const value = getWidgetValue(widgetNode, widgetName);
+            const text = value === undefined
+                ? getWidgetPlaceholder(widgetNode, widgetName)
+                : formatWidgetValue(value);
+
+            if (span.textContent !== text) {
+                span.textContent = text;
+                span.classList.toggle('broken', value === undefined);
+                span.title = value === undefined ? 'Widget not found' : getWidgetPlaceholder(widgetNode, widgetName);
+                redraw = redraw || note.behindNodes || canvasRendering;
+            }
+        }
+    }
 
-    return html;
+    // Notes drawn on the canvas show the new values after one redraw
+    if (redraw) {
+        redrawCanvasNotes();
+    }
 }
 
 /**
@@ -121,6 +501,44 @@ function renderNoteContent(noteData) {
 
     content.innerHTML = parseMarkdown(noteData.text);
     content.classList.add('markdown-rendered');
+    if (noteData.behindNodes || canvasRendering) {
+        redrawCanvasNotes();
+    }
+    noteData.element.querySelector('.sticky-note-title').textContent = getNoteTitle(noteData);
+
+    updateTaskProgress(noteData);
+}
+
+/**
+ * Show the task progress ("3/7") in the note header, hidden when there are no tasks
+ */
+function updateTaskProgress(noteData) {
+    const progress = noteData.element.querySelector('.sticky-note-progress');
+    const content = noteData.element.querySelector('.sticky-note-content');
+    if (!progress || !content) return;
+
+    const checkboxes = content.querySelectorAll('input[data-task-line]');
+    const total = checkboxes.length;
+    const done = [...checkboxes].filter(checkbox => checkbox.checked).length;
+
+    progress.textContent = total > 0 ? `${done}/${total}` : '';
+    progress.title = total > 0 ? `${done} of ${total} tasks done` : '';
+    progress.classList.toggle('complete', total > 0 && done === total);
+}
+
+/**
+ * Toggle the task list item on a given source line without entering edit mode
+ */
+function toggleTaskItem(noteData, lineIndex) {
+    if (isNoteReadOnly(noteData)) return;
+
+    const text = toggleTaskMarker(noteData.text, lineIndex);
+    if (text === null) return;
+
+    const before = { text: noteData.text };
+    const after = { text };
+    applyNoteState(noteData, after);
+    recordNoteChange(noteData.id, before, after);
 }
 
 /**
@@ -135,11 +553,14 @@ function showRawContent(noteData) {
 }
 
 /**
- * Serialize all sticky notes to a saveable format
- * @returns {Array} Array of note data objects
+ * Serialize a single note to a saveable format
+ * @param {Object} note - Note data object
+ * @returns {Object} Saveable note data
  */
-function serializeNotes() {
-    return stickyNotes.map(note => ({
+function serializeNote(note) {
+    return {
+        // Fields this version doesn't know about pass through untouched
+        ...note.savedFields,
         id: note.id,
         x: note.canvasX,
         y: note.canvasY,
@@ -147,67 +568,294 @@ function serializeNotes() {
         height: note.height || DEFAULT_HEIGHT,
         text: note.text,
         color: note.color,
-        createdAt: note.createdAt || Date.now()
-    }));
+        fontSize: note.fontSize || DEFAULT_FONT_SIZE,
+        fontFamily: note.fontFamily || DEFAULT_FONT_FAMILY,
+        textAlign: note.textAlign || 'left',
+        createdAt: note.createdAt || Date.now(),
+        attachedTo: note.attachedTo || null,
+        orphaned: note.orphaned || false,
+        locked: note.locked || false,
+        collapsed: note.savedCollapsed ?? (note.collapsed || false),
+        hidden: note.hidden || false,
+        z: note.z || 0,
+        behindNodes: note.behindNodes || false,
+        connectors: [...(note.connectors || []), ...(note.unsupportedConnectors || [])]
+    };
+}
+
+/**
+ * Serialize all sticky notes to a saveable format
+ * @returns {Array} Array of note data objects
+ */
+function serializeNotes() {
+    return stickyNotes.map(serializeNote);
+}
+
+/**
+ * Build the versioned data saved in the workflow (see storage.js)
+ */
+function serializeNotesData() {
+    // Notes of a workflow being loaded aren't restored yet
+    if (pendingNotesData !== null) {
+        return pendingNotesData;
+    }
+
+    // Data we couldn't read is kept as it was until notes are added
+    if (unreadableNotesData !== null && stickyNotes.length === 0) {
+        return unreadableNotesData;
+    }
+
+    return createEnvelope([...serializeNotes(), ...unloadedNotes], { ...loadedEnvelope, viewerMode });
+}
+
+/**
+ * Convert saved note data into the fields used by createStickyNoteFromData
+ * @param {Object} data - Saved note data (as produced by serializeNote)
+ */
+function noteFieldsFromSaved(data) {
+    return {
+        canvasX: data.x,
+        canvasY: data.y,
+        width: data.width || DEFAULT_WIDTH,
+        height: data.height || DEFAULT_HEIGHT,
+        text: data.text || settings.placeholder,
+        color: data.color || DEFAULT_COLOR,
+        ...textStyleFromSaved(data),
+        createdAt: data.createdAt || Date.now(),
+        attachedTo: isValidAttachment(data.attachedTo) ? { ...data.attachedTo } : null,
+        orphaned: data.orphaned === true,
+        locked: data.locked === true,
+        collapsed: data.collapsed === true,
+        hidden: data.hidden === true,
+        z: typeof data.z === 'number' ? data.z : undefined,
+        behindNodes: data.behindNodes === true,
+        connectors: Array.isArray(data.connectors) ? data.connectors.filter(isValidConnector) : [],
+        // Kept so they can be written back: connectors of unknown types and all saved fields
+        unsupportedConnectors: Array.isArray(data.connectors)
+            ? data.connectors.filter(connector => !isValidConnector(connector))
+            : [],
+        savedFields: data
+    };
+}
+
+/**
+ * Read the text style fields of saved note data, falling back to defaults
+ */
+function textStyleFromSaved(data) {
+    return {
+        fontSize: typeof data.fontSize === 'number'
+            ? Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, data.fontSize))
+            : DEFAULT_FONT_SIZE,
+        fontFamily: FONT_FAMILIES[data.fontFamily] ? data.fontFamily : DEFAULT_FONT_FAMILY,
+        textAlign: TEXT_ALIGNMENTS.includes(data.textAlign) ? data.textAlign : 'left'
+    };
+}
+
+/**
+ * Check that saved connector data has an ID and a known target type
+ */
+function isValidConnector(connector) {
+    const target = connector?.target;
+    if (typeof connector?.id !== 'number' || !target) return false;
+
+    switch (target.type) {
+        case 'note': return typeof target.noteId === 'number';
+        case 'node': return target.nodeId !== undefined && target.nodeId !== null;
+        case 'group': return target.groupId !== undefined || typeof target.title === 'string';
+        default: return false;
+    }
+}
+
+/**
+ * Check that saved attachment data has a node ID and numeric offset
+ */
+function isValidAttachment(attachedTo) {
+    return !!attachedTo &&
+        attachedTo.nodeId !== undefined && attachedTo.nodeId !== null &&
+        typeof attachedTo.dx === 'number' && typeof attachedTo.dy === 'number';
 }
 
 /**
  * Deserialize and restore notes from saved data
- * @param {Array} notesData - Array of saved note data
+ * Any storage format version is accepted; older ones are migrated first.
+ * @param {*} storedData - The workflow's `extra.stickyNotes` value
  */
-function deserializeNotes(notesData) {
-    if (!Array.isArray(notesData) || notesData.length === 0) {
+function deserializeNotes(storedData) {
+    let envelope = null;
+    try {
+        envelope = migrateNotesData(storedData);
+    } catch (error) {
+        console.error('[Sticky Notes] Failed to migrate saved notes:', error);
+    }
+
+    if (!envelope) {
+        console.warn('[Sticky Notes] Saved notes are in an unknown format and were not loaded; they are kept in the workflow.');
+        unreadableNotesData = storedData;
         return;
     }
 
-    for (const data of notesData) {
-        // Validate required fields
-        if (typeof data.x !== 'number' || typeof data.y !== 'number') {
-            continue;
-        }
+    if (isNewerVersion(envelope)) {
+        console.warn(`[Sticky Notes] Notes were saved by a newer version of the extension (format ${envelope.version}); fields this version doesn't support are kept but not shown.`);
+    }
+
+    const { notes: notesData, ...envelopeFields } = envelope;
+    loadedEnvelope = envelopeFields;
+    setViewerMode(envelope.viewerMode === true);
+
+    // Keep notes we can't show so they are saved again. Saved IDs are kept so undo,
+    // which reloads the workflow's notes, finds the notes it recorded changes for.
+    const { skipped } = createNotesFromSaved(notesData, { keepIds: true });
+    unloadedNotes.push(...skipped);
+}
+
+/**
+ * Create notes from saved note data (loaded or imported)
+ * Notes get new IDs unless `keepIds` is set and the saved ID is free; note-to-note
+ * connectors are updated to match.
+ * @param {Array} notesData - Saved notes
+ * @param {Object} [options]
+ * @param {boolean} [options.keepIds] - Keep saved IDs that aren't taken yet
+ * @returns {{created: Array, skipped: Array}} The new notes, and saved notes without a position
+ */
+function createNotesFromSaved(notesData, { keepIds = false } = {}) {
+    const idMap = new Map();
+    const created = [];
+    const skipped = [];
+    const usedIds = new Set(stickyNotes.map(n => n.id));
+    // Notes saved without a stacking position go on top, in order
+    let topZ = getTopZ();
+
+    creatingNotes = true;
+    try {
+        for (const data of notesData) {
+            // Validate required fields
+            if (typeof data?.x !== 'number' || typeof data?.y !== 'number') {
+                skipped.push(data);
+                continue;
+            }
 
-        // Convert canvas coordinates to screen for initial placement
-        const screenPos = canvasToScreen(data.x, data.y);
+            // Create the note element
+            const fields = noteFieldsFromSaved(data);
+            if (fields.z === undefined) {
+                fields.z = ++topZ;
+            }
+            if (keepIds && Number.isInteger(data.id) && data.id > 0 && !usedIds.has(data.id)) {
+                fields.id = data.id;
+                usedIds.add(data.id);
+            }
+            const noteData = createStickyNoteFromData(fields);
+            idMap.set(data.id, noteData.id);
+            created.push(noteData);
+        }
+    } finally {
+        creatingNotes = false;
+    }
 
-        // Create the note element
-        createStickyNoteFromData({
-            canvasX: data.x,
-            canvasY: data.y,
-            width: data.width || DEFAULT_WIDTH,
-            height: data.height || DEFAULT_HEIGHT,
-            text: data.text || 'New note...',
-            color: data.color || DEFAULT_COLOR,
-            createdAt: data.createdAt || Date.now()
-        }, screenPos.x, screenPos.y);
+    for (const noteData of created) {
+        noteData.connectors = noteData.connectors
+            .map(connector => {
+                if (connector.target.type !== 'note') return connector;
+                if (!idMap.has(connector.target.noteId)) return null;
+                return { ...connector, target: { ...connector.target, noteId: idMap.get(connector.target.noteId) } };
+            })
+            .filter(Boolean);
     }
+
+    updateConnectors();
+    redrawCanvasNotes();
+    return { created, skipped };
 }
 
 /**
- * Create a sticky note from saved data (used during deserialization)
+ * Recreate a previously removed note with its original ID (used by undo/redo)
+ * @param {Object} data - Saved note data (as produced by serializeNote)
  */
-function createStickyNoteFromData(data, screenX, screenY) {
-    const noteId = ++noteIdCounter;
+function restoreNote(data) {
+    return createStickyNoteFromData({ ...noteFieldsFromSaved(data), id: data.id });
+}
+
+/**
+ * Create a sticky note from note data
+ * Every note (new, pasted, duplicated, loaded or restored) is built here.
+ * @param {Object} data - Note fields; an optional `id` keeps an existing note ID
+ * @returns {Object} The stored note data
+ */
+function createStickyNoteFromData(data) {
+    const noteId = data.id ?? ++noteIdCounter;
+    noteIdCounter = Math.max(noteIdCounter, noteId);
 
     const note = document.createElement('div');
     note.className = 'sticky-note';
     note.dataset.noteId = noteId;
 
-    // Header bar with drag handle, color picker, and close button
+    // Header bar with drag handle, color picker, text style, pin and close buttons
     const header = document.createElement('div');
     header.className = 'sticky-note-header';
 
+    const collapseBtn = document.createElement('button');
+    collapseBtn.className = 'sticky-note-collapse';
+    collapseBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleNoteCollapsed(noteData);
+    });
+
     const dragHandle = document.createElement('div');
     dragHandle.className = 'sticky-note-drag-handle';
 
+    // Title shown instead of the content while the note is collapsed
+    const title = document.createElement('span');
+    title.className = 'sticky-note-title';
+
+    // Shown when the node this note was attached to has been deleted
+    const orphanBadge = document.createElement('span');
+    orphanBadge.className = 'sticky-note-orphan-badge';
+    orphanBadge.textContent = '\u26A0';
+    orphanBadge.title = 'The node this note was attached to was deleted';
+
+    const styleBtn = document.createElement('button');
+    styleBtn.className = 'sticky-note-style';
+    styleBtn.textContent = 'Aa';
+    styleBtn.title = 'Text style';
+    styleBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleTextStyleMenu(noteData);
+    });
+
+    const lockBtn = document.createElement('button');
+    lockBtn.className = 'sticky-note-lock';
+    lockBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleNoteLock(noteData);
+    });
+
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'sticky-note-pin';
+    pinBtn.innerHTML = '&#128204;';
+    pinBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleNoteAttachment(noteId);
+    });
+
     const closeBtn = document.createElement('button');
     closeBtn.className = 'sticky-note-close';
     closeBtn.innerHTML = '&times;';
     closeBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        removeNote(noteId);
+        deleteNote(noteId);
     });
 
+    // Task progress ("3/7"), filled in when the content is rendered
+    const progress = document.createElement('span');
+    progress.className = 'sticky-note-progress';
+
+    header.appendChild(collapseBtn);
     header.appendChild(dragHandle);
+    header.appendChild(title);
+    header.appendChild(progress);
+    header.appendChild(orphanBadge);
+    header.appendChild(styleBtn);
+    header.appendChild(lockBtn);
+    header.appendChild(pinBtn);
     header.appendChild(closeBtn);
 
     // Content area - start as non-editable
@@ -220,20 +868,21 @@ function createStickyNoteFromData(data, screenX, screenY) {
     const resizeHandle = document.createElement('div');
     resizeHandle.className = 'sticky-note-resize';
 
+    // Connector handle - drag from here to draw an arrow
+    const connectorHandle = document.createElement('div');
+    connectorHandle.className = 'sticky-note-connector-handle';
+    connectorHandle.title = 'Drag to connect to a node, group or note';
+
     note.appendChild(header);
     note.appendChild(content);
     note.appendChild(resizeHandle);
+    note.appendChild(connectorHandle);
 
-    // Position and size the note (apply current zoom scale via transform)
-    const scale = app.canvas.ds.scale;
+    // Size the note (the note layer's transform applies the zoom)
     const noteWidth = data.width || DEFAULT_WIDTH;
     const noteHeight = data.height || DEFAULT_HEIGHT;
-    note.style.left = `${screenX}px`;
-    note.style.top = `${screenY}px`;
     note.style.width = `${noteWidth}px`;
     note.style.minHeight = `${noteHeight}px`;
-    note.style.transform = `scale(${scale})`;
-    note.style.transformOrigin = 'top left';
 
     // Store note data with canvas coordinates
     const noteData = {
@@ -245,30 +894,67 @@ function createStickyNoteFromData(data, screenX, screenY) {
         height: noteHeight,
         text: data.text,
         color: data.color,
+        fontSize: data.fontSize || DEFAULT_FONT_SIZE,
+        fontFamily: data.fontFamily || DEFAULT_FONT_FAMILY,
+        textAlign: data.textAlign || 'left',
         createdAt: data.createdAt,
+        attachedTo: data.attachedTo || null,
+        orphaned: data.orphaned || false,
+        locked: data.locked || false,
+        collapsed: data.collapsed || false,
+        hidden: data.hidden || false,
+        // New notes go on top
+        z: data.z ?? getTopZ() + 1,
+        behindNodes: data.behindNodes || false,
+        connectors: data.connectors || [],
+        unsupportedConnectors: data.unsupportedConnectors || [],
+        savedFields: data.savedFields || null,
         isEditing: false
     };
     stickyNotes.push(noteData);
+    placeNoteElement(noteData);
+
+    for (const connector of noteData.connectors) {
+        connectorIdCounter = Math.max(connectorIdCounter, connector.id);
+    }
 
     // Create and add color picker
     const colorPicker = createColorPicker(noteData);
-    header.insertBefore(colorPicker, closeBtn);
+    header.insertBefore(colorPicker, styleBtn);
 
-    // Apply the saved color
+    // Apply the saved color, text style and attachment state
     applyNoteColor(note, data.color);
+    applyTextStyle(noteData);
+    applyAttachmentState(noteData);
+    applyLockState(noteData);
+    applyCollapsedState(noteData);
+    applyHiddenState(noteData);
+    applyLayerState(noteData);
 
     // Set up note-specific event handlers
     setupNoteEventHandlers(noteData, header, content);
+    setupImageInput(noteData, content);
 
     // Set up resize handlers
     setupResizeHandlers(noteData, resizeHandle);
+    setupConnectorHandle(noteData, connectorHandle);
 
-    overlay.appendChild(note);
+    noteLayer.appendChild(note);
+    noteResizeObserver?.observe(note);
+
+    // Notes created outside the view start culled (judged by their stored size
+    // so creating many notes doesn't lay out each one)
+    if (visibleArea) {
+        const bounds = { x: noteData.canvasX, y: noteData.canvasY, width: noteWidth, height: noteHeight };
+        setNoteCulled(noteData, !isRectVisible(bounds, visibleArea));
+    }
 
     // Render markdown content
     renderNoteContent(noteData);
+    updateConnectors();
+    scheduleNoteListUpdate();
 
-    return note;
+    return noteData;
 }
 
 /**
@@ -280,10 +966,20 @@ function clearAllNotes() {
         if (note.cleanupHandlers) {
             note.cleanupHandlers();
         }
+        noteResizeObserver?.unobserve(note.element);
         note.element.remove();
     }
     stickyNotes.length = 0;
-    selectedNoteId = null;
+    loadedEnvelope = null;
+    unloadedNotes = [];
+    unreadableNotesData = null;
+    setViewerMode(false);
+    selectedNoteIds.clear();
+    selectedConnector = null;
+    cancelAttachMode();
+    updateConnectors();
+    scheduleNoteListUpdate();
+    clearHistory();
 }
 
 /**
@@ -298,12 +994,28 @@ function hookGraphSerialization() {
         if (!data.extra) {
             data.extra = {};
         }
-        data.extra[EXTENSION_KEY] = serializeNotes();
+        data.extra[EXTENSION_KEY] = serializeNotesData();
 
         return data;
     };
 }
 
+/**
+ * Track graph edits so Ctrl+Z goes to ComfyUI when the graph changed last
+ * (frontends without a change tracker, see pushHistory)
+ */
+function hookGraphChanges() {
+    const originalAfterChange = LGraph.prototype.afterChange;
+    LGraph.prototype.afterChange = function() {
+        lastChangeSource = 'graph';
+        const result = originalAfterChange?.apply(this, arguments);
+
+        // Node titles may have changed or nodes may be gone
+        refreshNodeReferences();
+        return result;
+    };
+}
+
 /**
  * Hook into ComfyUI's loadGraphData to restore notes
  */
@@ -313,13 +1025,24 @@ function hookGraphLoading() {
         // Clear existing notes before loading new workflow
         clearAllNotes();
 
+        // Until they are restored the workflow saves with the notes being loaded, so
+        // ComfyUI's change tracker doesn't see them deleted in between
+        const notesData = graphData?.extra?.[EXTENSION_KEY] ?? null;
+        const load = ++graphLoadCount;
+        pendingNotesData = notesData;
+
         // Call original load function
         const result = originalLoadGraphData.apply(this, arguments);
 
         // Restore notes from workflow data (with small delay to ensure canvas is ready)
         setTimeout(() => {
-            if (graphData?.extra?.[EXTENSION_KEY]) {
-                deserializeNotes(graphData.extra[EXTENSION_KEY]);
+            // Another workflow was loaded in the meantime
+            if (load !== graphLoadCount) return;
+
+            pendingNotesData = null;
+            if (notesData) {
+                deserializeNotes(notesData);
+                syncChangeTrackerNotes(notesData);
             }
         }, 100);
 
@@ -327,6 +1050,25 @@ function hookGraphLoading() {
     };
 }
 
+/**
+ * Make ComfyUI's change tracker remember the restored notes as they save now
+ * Restored notes can save differently from the data they were loaded from (older
+ * formats, default fields), which would otherwise show up as an edit the user
+ * never made: a modified workflow and an empty undo step.
+ * @param {*} notesData - The `extra.stickyNotes` value the workflow was loaded with
+ */
+function syncChangeTrackerNotes(notesData) {
+    const changeTracker = getChangeTracker();
+    if (!changeTracker) return;
+
+    const saved = structuredClone(serializeNotesData());
+    for (const key of ['activeState', 'initialState']) {
+        if (changeTracker[key]) {
+            changeTracker[key] = replaceLoadedNotesData(changeTracker[key], EXTENSION_KEY, notesData, saved);
+        }
+    }
+}
+
 /**
  * Create the overlay layer that sits above the canvas
  */
@@ -335,6 +1077,18 @@ function createOverlay() {
     overlay.id = 'sticky-notes-overlay';
     overlay.className = 'sticky-notes-overlay';
 
+    // Connector arrows are drawn below the notes
+    overlay.appendChild(createConnectorLayer());
+
+    noteLayer = document.createElement('div');
+    noteLayer.className = 'sticky-notes-layer';
+    overlay.appendChild(noteLayer);
+
+    // Alignment guides shown while dragging are drawn above them
+    guideLayer = document.createElement('div');
+    guideLayer.className = 'sticky-notes-guides';
+    overlay.appendChild(guideLayer);
+
     // Click on overlay (empty space) deselects notes
     overlay.addEventListener('mousedown', (e) => {
         if (e.target === overlay) {
@@ -370,635 +1124,3481 @@ function canvasToScreen(canvasX, canvasY) {
 
 /**
  * Update all sticky note positions based on current canvas transform
+ * Only notes whose canvas position changed are touched.
  */
 function updateAllNotePositions() {
-    const ds = app.canvas.ds;
-    const scale = ds.scale;
-    const offsetX = ds.offset[0];
-    const offsetY = ds.offset[1];
-
-    for (let i = 0, len = stickyNotes.length; i < len; i++) {
-        const note = stickyNotes[i];
-        const screenX = (note.canvasX + offsetX) * scale;
-        const screenY = (note.canvasY + offsetY) * scale;
-        const el = note.element;
-        el.style.left = screenX + 'px';
-        el.style.top = screenY + 'px';
-        // Use CSS transform for uniform scaling (like ComfyUI nodes)
-        el.style.transform = `scale(${scale})`;
-        el.style.transformOrigin = 'top left';
+    // Attached notes follow their nodes
+    syncAttachedNotes();
+    if (noteLayer) {
+        visibleArea = layoutNotes(noteLayer, stickyNotes, app.canvas.ds, viewSize.width, viewSize.height);
     }
+
+    updateConnectors();
+    redrawCanvasNotes();
 }
 
 /**
- * Select a note by ID
+ * Get the node's collapsed width (LiteGraph stores it while drawing)
  */
-function selectNote(noteId) {
-    // Deselect previous
-    deselectAllNotes();
-
-    selectedNoteId = noteId;
-    const note = stickyNotes.find(n => n.id === noteId);
-    if (note) {
-        note.element.classList.add('selected');
-    }
+function getCollapsedWidth(node) {
+    return node._collapsed_width || window.LiteGraph?.NODE_COLLAPSED_WIDTH || 80;
 }
 
 /**
- * Deselect all notes
+ * Move attached notes along with their nodes
+ * A note whose node no longer exists stays where it is and is marked orphaned.
+ * @returns {boolean} Whether any note moved or changed state
  */
-function deselectAllNotes() {
-    if (selectedNoteId !== null) {
-        const note = stickyNotes.find(n => n.id === selectedNoteId);
-        if (note) {
-            note.element.classList.remove('selected');
+function syncAttachedNotes() {
+    let changed = false;
+
+    for (const note of stickyNotes) {
+        if (!note.attachedTo || note.orphaned) continue;
+
+        const node = app.graph?.getNodeById(note.attachedTo.nodeId);
+        if (!node) {
+            note.orphaned = true;
+            applyAttachmentState(note);
+            changed = true;
+            continue;
+        }
+
+        const pos = attachmentToPosition(node, note.attachedTo, getCollapsedWidth(node));
+        if (pos.x !== note.canvasX || pos.y !== note.canvasY) {
+            note.canvasX = pos.x;
+            note.canvasY = pos.y;
+            changed = true;
         }
-        selectedNoteId = null;
     }
+
+    return changed;
 }
 
 /**
- * Get the currently selected note
+ * Keep an attached note's offset in step with a manual move
  */
-function getSelectedNote() {
-    if (selectedNoteId === null) return null;
-    return stickyNotes.find(n => n.id === selectedNoteId) || null;
+function updateAttachmentOffset(note) {
+    if (!note.attachedTo || note.orphaned) return;
+
+    const node = app.graph?.getNodeById(note.attachedTo.nodeId);
+    if (node) {
+        note.attachedTo = positionToAttachment(node, note.canvasX, note.canvasY, getCollapsedWidth(node));
+    }
 }
 
 /**
- * Start editing a note's content
+ * Reflect a note's attachment state in its element
  */
-function startEditing(noteData) {
-    const content = noteData.element.querySelector('.sticky-note-content');
-    if (!content) return;
-
-    noteData.isEditing = true;
+function applyAttachmentState(noteData) {
+    const el = noteData.element;
+    const attached = !!noteData.attachedTo && !noteData.orphaned;
+
+    el.classList.toggle('attached', attached);
+    el.classList.toggle('orphaned', !!noteData.orphaned);
+
+    const pinBtn = el.querySelector('.sticky-note-pin');
+    if (pinBtn) {
+        pinBtn.title = attached
+            ? `Attached to node #${noteData.attachedTo.nodeId} (click to detach)`
+            : 'Attach to node';
+    }
+}
 
-    // Show raw markdown text for editing
-    showRawContent(noteData);
+/**
+ * Pin button: detach an attached note, otherwise wait for a node click to attach to
+ */
+function toggleNoteAttachment(noteId) {
+    const note = stickyNotes.find(n => n.id === noteId);
+    if (!note || isNoteReadOnly(note)) return;
 
-    content.contentEditable = 'true';
-    content.focus();
+    if (note.attachedTo && !note.orphaned) {
+        const before = { attachedTo: note.attachedTo, orphaned: false };
+        note.attachedTo = null;
+        applyAttachmentState(note);
+        recordNoteChange(noteId, before, { attachedTo: null, orphaned: false });
+        return;
+    }
 
-    // Select all text
-    const range = document.createRange();
-    range.selectNodeContents(content);
-    const sel = window.getSelection();
-    sel.removeAllRanges();
-    sel.addRange(range);
+    startAttachMode(noteId);
 }
 
 /**
- * Stop editing a note's content
+ * Enter attach mode: the next click on a node attaches the note to it
  */
-function stopEditing(noteData) {
-    if (!noteData || !noteData.isEditing) return;
-
-    const content = noteData.element.querySelector('.sticky-note-content');
-    if (!content) return;
+function startAttachMode(noteId) {
+    cancelAttachMode();
+    attachingNoteId = noteId;
+    stickyNotes.find(n => n.id === noteId)?.element.classList.add('attaching');
+}
 
-    noteData.isEditing = false;
-    content.contentEditable = 'false';
+/**
+ * Leave attach mode without attaching
+ */
+function cancelAttachMode() {
+    if (attachingNoteId === null) return;
 
-    // Remove focus
-    content.blur();
+    stickyNotes.find(n => n.id === attachingNoteId)?.element.classList.remove('attaching');
+    attachingNoteId = null;
+}
 
-    // Store the raw text
-    noteData.text = content.textContent;
+/**
+ * Attach a note to a node, keeping the note where it currently is
+ */
+function attachNoteToNode(note, node) {
+    const before = { attachedTo: note.attachedTo, orphaned: note.orphaned };
+    const after = {
+        attachedTo: positionToAttachment(node, note.canvasX, note.canvasY, getCollapsedWidth(node)),
+        orphaned: false
+    };
 
-    // Render markdown
-    renderNoteContent(noteData);
+    applyNoteState(note, after);
+    recordNoteChange(note.id, before, after);
 }
 
 /**
- * Apply color to a note element
+ * Create the SVG layer that holds connector arrows
  */
-function applyNoteColor(noteElement, colorKey) {
-    const color = NOTE_COLORS[colorKey] || NOTE_COLORS[DEFAULT_COLOR];
-    noteElement.style.setProperty('--note-bg', color.bg);
-    noteElement.style.setProperty('--note-text', color.text);
-
-    // Update active state in color picker
-    const dots = noteElement.querySelectorAll('.color-dot');
-    dots.forEach(dot => {
-        dot.classList.toggle('active', dot.dataset.color === colorKey);
-    });
+function createConnectorLayer() {
+    connectorLayer = document.createElementNS(SVG_NS, 'svg');
+    connectorLayer.classList.add('sticky-notes-connectors');
+    return connectorLayer;
 }
 
 /**
- * Change a note's color
+ * Build an SVG path for an arrow between two screen points
+ * The arrowhead is part of the path so it takes the stroke color.
  */
-function changeNoteColor(noteData, colorKey) {
-    if (!NOTE_COLORS[colorKey]) return;
+function buildArrowPath(start, end) {
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const headLength = 10;
+    const spread = 0.45;
+    const left = {
+        x: end.x - headLength * Math.cos(angle - spread),
+        y: end.y - headLength * Math.sin(angle - spread)
+    };
+    const right = {
+        x: end.x - headLength * Math.cos(angle + spread),
+        y: end.y - headLength * Math.sin(angle + spread)
+    };
+    const f = (n) => n.toFixed(1);
 
-    noteData.color = colorKey;
-    applyNoteColor(noteData.element, colorKey);
+    return `M ${f(start.x)} ${f(start.y)} L ${f(end.x)} ${f(end.y)} ` +
+        `M ${f(left.x)} ${f(left.y)} L ${f(end.x)} ${f(end.y)} L ${f(right.x)} ${f(right.y)}`;
 }
 
 /**
- * Create color picker UI
+ * Find the point on a rectangle's edge in the direction of another point
+ * Points inside the rectangle are returned unchanged.
  */
-function createColorPicker(noteData) {
-    const picker = document.createElement('div');
-    picker.className = 'sticky-note-colors';
+function getRectEdgePoint(rect, toward) {
+    const cx = rect.x + rect.width / 2;
+    const cy = rect.y + rect.height / 2;
+    const dx = toward.x - cx;
+    const dy = toward.y - cy;
 
-    for (const [key, color] of Object.entries(NOTE_COLORS)) {
-        const dot = document.createElement('button');
-        dot.className = 'color-dot';
-        dot.dataset.color = key;
-        dot.style.backgroundColor = color.bg;
-        dot.title = color.name;
+    if (dx === 0 && dy === 0) return { x: cx, y: cy };
 
-        if (key === noteData.color) {
-            dot.classList.add('active');
-        }
+    const t = Math.min(1, 1 / Math.max(Math.abs(dx) / (rect.width / 2), Math.abs(dy) / (rect.height / 2)));
+    return { x: cx + dx * t, y: cy + dy * t };
+}
 
-        dot.addEventListener('click', (e) => {
-            e.stopPropagation();
-            changeNoteColor(noteData, key);
-        });
+/**
+ * Get a node's bounds in canvas coordinates, including its title bar
+ */
+function getNodeBounds(node) {
+    const titleHeight = window.LiteGraph?.NODE_TITLE_HEIGHT || 30;
 
-        picker.appendChild(dot);
+    if (node.flags?.collapsed) {
+        return { x: node.pos[0], y: node.pos[1] - titleHeight, width: getCollapsedWidth(node), height: titleHeight };
     }
 
-    return picker;
+    return { x: node.pos[0], y: node.pos[1] - titleHeight, width: node.size[0], height: node.size[1] + titleHeight };
 }
 
 /**
- * Create a new sticky note at the given screen position
+ * Find a group by ID, falling back to its title for older graphs without group IDs
  */
-function createStickyNote(screenX, screenY) {
-    const noteId = ++noteIdCounter;
-
-    // Convert screen position to canvas coordinates for storage
-    const canvasPos = screenToCanvas(screenX, screenY);
+function findGroup(target) {
+    const groups = app.graph?._groups || [];
+    return groups.find(g => target.groupId !== undefined && g.id === target.groupId) ||
+        groups.find(g => g.title === target.title) ||
+        null;
+}
 
-    const note = document.createElement('div');
-    note.className = 'sticky-note';
-    note.dataset.noteId = noteId;
+/**
+ * Resolve a connector target to canvas coordinates
+ * @returns {{rect?: Object, point?: Object}|null} A rectangle to clip to or an exact point,
+ *   or null when the target no longer exists
+ */
+function resolveConnectorTarget(target) {
+    switch (target.type) {
+        case 'note': {
+            const note = stickyNotes.find(n => n.id === target.noteId);
+            return note && !note.hidden ? { rect: getNoteBounds(note) } : null;
+        }
+        case 'node': {
+            const node = app.graph?.getNodeById(target.nodeId);
+            if (!node) return null;
 
-    // Header bar with drag handle, color picker, and close button
-    const header = document.createElement('div');
-    header.className = 'sticky-note-header';
+            if (target.slot && !node.flags?.collapsed && node.getConnectionPos) {
+                const pos = node.getConnectionPos(target.slot.type === 'input', target.slot.index);
+                return { point: { x: pos[0], y: pos[1] } };
+            }
+            return { rect: getNodeBounds(node) };
+        }
+        case 'group': {
+            const group = findGroup(target);
+            if (!group) return null;
 
-    const dragHandle = document.createElement('div');
-    dragHandle.className = 'sticky-note-drag-handle';
+            const [x, y, width, height] = group._bounding || [...group.pos, ...group.size];
+            return { rect: { x, y, width, height } };
+        }
+        default:
+            return null;
+    }
+}
 
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'sticky-note-close';
-    closeBtn.innerHTML = '&times;';
-    closeBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        removeNote(noteId);
-    });
+/**
+ * Build the screen-space SVG path for a connector ('' when the target is gone)
+ */
+function getConnectorPath(note, connector) {
+    const target = resolveConnectorTarget(connector.target);
+    if (!target) return '';
+
+    const noteRect = getNoteBounds(note);
+    const noteCenter = { x: noteRect.x + noteRect.width / 2, y: noteRect.y + noteRect.height / 2 };
+    const targetPoint = target.point || {
+        x: target.rect.x + target.rect.width / 2,
+        y: target.rect.y + target.rect.height / 2
+    };
 
-    header.appendChild(dragHandle);
-    header.appendChild(closeBtn);
+    const startPoint = getRectEdgePoint(noteRect, targetPoint);
+    const endPoint = target.point || getRectEdgePoint(target.rect, noteCenter);
 
-    // Content area - start as non-editable
-    const content = document.createElement('div');
-    content.className = 'sticky-note-content';
-    content.contentEditable = 'false';
-    content.textContent = 'New note...';
+    return buildArrowPath(
+        canvasToScreen(startPoint.x, startPoint.y),
+        canvasToScreen(endPoint.x, endPoint.y)
+    );
+}
 
-    // Resize handle
-    const resizeHandle = document.createElement('div');
-    resizeHandle.className = 'sticky-note-resize';
+/**
+ * Create the SVG elements for one connector (a wide invisible hit area plus the visible arrow)
+ */
+function createConnectorElement(noteId, connectorId) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.classList.add('sticky-note-connector');
 
-    note.appendChild(header);
-    note.appendChild(content);
-    note.appendChild(resizeHandle);
+    const hitPath = document.createElementNS(SVG_NS, 'path');
+    hitPath.classList.add('sticky-note-connector-hit');
 
-    // Position and size the note (apply current zoom scale via transform)
-    const scale = app.canvas.ds.scale;
-    note.style.left = `${screenX}px`;
-    note.style.top = `${screenY}px`;
-    note.style.width = `${DEFAULT_WIDTH}px`;
-    note.style.minHeight = `${DEFAULT_HEIGHT}px`;
-    note.style.transform = `scale(${scale})`;
-    note.style.transformOrigin = 'top left';
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.classList.add('sticky-note-connector-line');
 
-    // Store note data with canvas coordinates
-    const noteData = {
-        id: noteId,
-        element: note,
-        canvasX: canvasPos.x,
-        canvasY: canvasPos.y,
-        width: DEFAULT_WIDTH,
-        height: DEFAULT_HEIGHT,
-        text: 'New note...',
-        color: DEFAULT_COLOR,
-        createdAt: Date.now(),
-        isEditing: false
-    };
-    stickyNotes.push(noteData);
+    group.appendChild(hitPath);
+    group.appendChild(path);
 
-    // Create and add color picker
-    const colorPicker = createColorPicker(noteData);
-    header.insertBefore(colorPicker, closeBtn);
+    hitPath.addEventListener('mousedown', (e) => {
+        selectConnector(noteId, connectorId);
+        e.preventDefault();
+        e.stopPropagation();
+    });
 
-    // Apply default color
-    applyNoteColor(note, DEFAULT_COLOR);
+    connectorLayer.appendChild(group);
+    return group;
+}
 
-    // Set up note-specific event handlers
-    setupNoteEventHandlers(noteData, header, content);
+/**
+ * Redraw connector arrows, only touching the ones whose geometry or color changed
+ */
+function updateConnectors() {
+    if (!connectorLayer || creatingNotes) return;
 
-    // Set up resize handlers
-    setupResizeHandlers(noteData, resizeHandle);
+    const seen = new Set();
 
-    overlay.appendChild(note);
+    for (const note of stickyNotes) {
+        for (const connector of note.connectors) {
+            const key = `${note.id}:${connector.id}`;
+            seen.add(key);
+
+            let group = connectorElements.get(key);
+            if (!group) {
+                group = createConnectorElement(note.id, connector.id);
+                connectorElements.set(key, group);
+            }
 
-    // Render markdown content (for new notes, just shows "New note...")
-    renderNoteContent(noteData);
+            const d = note.hidden ? '' : getConnectorPath(note, connector);
+            const stroke = getNoteColor(note.color).text;
+            const state = `${d}|${stroke}`;
+
+            if (group.dataset.state !== state) {
+                group.dataset.state = state;
+                group.style.display = d ? '' : 'none';
+                for (const path of group.children) {
+                    path.setAttribute('d', d);
+                }
+                group.lastChild.setAttribute('stroke', stroke);
+            }
 
-    // Select the new note but don't start editing
-    selectNote(noteId);
+            group.classList.toggle('selected',
+                selectedConnector?.noteId === note.id && selectedConnector?.connectorId === connector.id);
+        }
+    }
 
-    return note;
+    for (const [key, group] of connectorElements) {
+        if (!seen.has(key)) {
+            group.remove();
+            connectorElements.delete(key);
+        }
+    }
 }
 
 /**
- * Set up resize handlers for a note
+ * Select a connector (clears the note selection)
  */
-function setupResizeHandlers(noteData, resizeHandle) {
-    const note = noteData.element;
-    let isResizing = false;
-    let startX, startY, startWidth, startHeight;
-
-    const onMouseDown = (e) => {
-        isResizing = true;
-        startX = e.clientX;
-        startY = e.clientY;
-        startWidth = noteData.width;
-        startHeight = noteData.height;
-
-        note.classList.add('resizing');
-        e.preventDefault();
-        e.stopPropagation();
-    };
-
-    const onMouseMove = (e) => {
-        if (!isResizing) return;
-
-        const scale = app.canvas.ds.scale;
-        const dx = e.clientX - startX;
-        const dy = e.clientY - startY;
+function selectConnector(noteId, connectorId) {
+    deselectAllNotes();
+    selectedConnector = { noteId, connectorId };
+    updateConnectors();
+}
 
-        // Convert screen delta to canvas delta (since transform scale is applied)
-        const canvasDx = dx / scale;
-        const canvasDy = dy / scale;
+/**
+ * Clear the connector selection
+ */
+function deselectConnector() {
+    if (selectedConnector === null) return;
 
-        // Calculate new canvas dimensions with minimum limits
-        const newWidth = Math.max(MIN_WIDTH, startWidth + canvasDx);
-        const newHeight = Math.max(MIN_HEIGHT, startHeight + canvasDy);
+    selectedConnector = null;
+    updateConnectors();
+}
 
-        // Apply dimensions (transform handles the visual scaling)
-        note.style.width = `${newWidth}px`;
-        note.style.minHeight = `${newHeight}px`;
+/**
+ * Add a connector from a note to a target (recorded in undo history)
+ */
+function addConnector(note, target) {
+    const before = { connectors: note.connectors };
+    const after = { connectors: [...note.connectors, { id: ++connectorIdCounter, target }] };
 
-        // Store canvas dimensions
-        noteData.width = newWidth;
-        noteData.height = newHeight;
-    };
+    note.connectors = after.connectors;
+    updateConnectors();
+    recordNoteChange(note.id, before, after);
+}
 
-    const onMouseUp = () => {
-        if (!isResizing) return;
+/**
+ * Remove the selected connector (recorded in undo history)
+ */
+function deleteSelectedConnector() {
+    if (selectedConnector === null) return;
 
-        isResizing = false;
-        note.classList.remove('resizing');
-    };
+    const { noteId, connectorId } = selectedConnector;
+    const note = stickyNotes.find(n => n.id === noteId);
+    selectedConnector = null;
+    if (!note || isNoteReadOnly(note)) return;
 
-    resizeHandle.addEventListener('mousedown', onMouseDown);
-    document.addEventListener('mousemove', onMouseMove);
-    document.addEventListener('mouseup', onMouseUp);
+    const before = { connectors: note.connectors };
+    const after = { connectors: note.connectors.filter(c => c.id !== connectorId) };
 
-    // Store cleanup function
-    const existingCleanup = noteData.cleanupHandlers;
-    noteData.cleanupHandlers = () => {
-        if (existingCleanup) existingCleanup();
-        document.removeEventListener('mousemove', onMouseMove);
-        document.removeEventListener('mouseup', onMouseUp);
-    };
+    note.connectors = after.connectors;
+    updateConnectors();
+    recordNoteChange(noteId, before, after);
 }
 
 /**
- * Set up event handlers for a specific note
+ * Find what a connector dropped at a screen position points to
+ * Checks other notes first, then node slots, nodes and groups on the canvas.
  */
-function setupNoteEventHandlers(noteData, header, content) {
-    const note = noteData.element;
-    const noteId = noteData.id;
-
-    // Click to select
-    note.addEventListener('mousedown', (e) => {
-        // Don't interfere with close button or color dots
-        if (e.target.classList.contains('sticky-note-close')) return;
-        if (e.target.classList.contains('color-dot')) return;
-
-        selectNote(noteId);
-        e.stopPropagation();
-    });
+function findConnectorTarget(clientX, clientY, sourceNoteId) {
+    const noteEl = document.elementFromPoint(clientX, clientY)?.closest('.sticky-note');
+    if (noteEl) {
+        const noteId = Number(noteEl.dataset.noteId);
+        return noteId === sourceNoteId ? null : { type: 'note', noteId };
+    }
 
-    // Double-click on content to edit
-    content.addEventListener('dblclick', (e) => {
-        startEditing(noteData);
-        e.stopPropagation();
-    });
+    const rect = overlay.getBoundingClientRect();
+    const { x, y } = screenToCanvas(clientX - rect.left, clientY - rect.top);
 
-    // Handle Enter key to save (Shift+Enter for newline)
-    content.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            stopEditing(noteData);
+    const node = app.graph?.getNodeOnPos(x, y);
+    if (node) {
+        const slot = node.getSlotInPosition?.(x, y);
+        if (slot?.input) {
+            return { type: 'node', nodeId: node.id, slot: { type: 'input', index: slot.slot } };
         }
-        // Escape to cancel editing
-        if (e.key === 'Escape') {
-            stopEditing(noteData);
+        if (slot?.output) {
+            return { type: 'node', nodeId: node.id, slot: { type: 'output', index: slot.slot } };
         }
-    });
+        return { type: 'node', nodeId: node.id };
+    }
 
-    // Click outside content while editing stops editing
-    content.addEventListener('blur', () => {
-        // Small delay to allow for other interactions
-        setTimeout(() => {
-            if (noteData.isEditing) {
-                stopEditing(noteData);
-            }
-        }, 100);
-    });
+    const group = app.graph?.getGroupOnPos?.(x, y);
+    if (group) {
+        return { type: 'group', groupId: group.id, title: group.title };
+    }
 
-    // Drag handling - only on header (excluding buttons and color picker)
-    let isDragging = false;
-    let startX, startY, initialLeft, initialTop;
+    return null;
+}
 
-    header.addEventListener('mousedown', (e) => {
-        // Don't start drag on interactive elements
-        if (e.target.classList.contains('sticky-note-close')) return;
-        if (e.target.classList.contains('color-dot')) return;
-        if (e.target.classList.contains('sticky-note-colors')) return;
+/**
+ * Set up dragging a new connector out of a note's connector handle
+ */
+function setupConnectorHandle(noteData, handle) {
+    let previewPath = null;
 
-        isDragging = true;
-        startX = e.clientX;
-        startY = e.clientY;
-        initialLeft = note.offsetLeft;
-        initialTop = note.offsetTop;
-        note.classList.add('dragging');
+    const onMouseDown = (e) => {
+        if (isNoteReadOnly(noteData)) return;
 
-        // Select the note being dragged
-        selectNote(noteId);
+        previewPath = document.createElementNS(SVG_NS, 'path');
+        previewPath.classList.add('sticky-note-connector-line', 'preview');
+        previewPath.setAttribute('stroke', getNoteColor(noteData.color).text);
+        connectorLayer.appendChild(previewPath);
+        onMouseMove(e);
 
         e.preventDefault();
         e.stopPropagation();
-    });
+    };
 
-    // Use document-level handlers that reference this note's drag state
     const onMouseMove = (e) => {
-        if (!isDragging) return;
+        if (!previewPath) return;
 
-        const dx = e.clientX - startX;
-        const dy = e.clientY - startY;
+        const rect = overlay.getBoundingClientRect();
+        const end = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        const cursor = screenToCanvas(end.x, end.y);
+        const startPoint = getRectEdgePoint(getNoteBounds(noteData), cursor);
 
-        note.style.left = `${initialLeft + dx}px`;
-        note.style.top = `${initialTop + dy}px`;
+        previewPath.setAttribute('d', buildArrowPath(canvasToScreen(startPoint.x, startPoint.y), end));
     };
 
-    const onMouseUp = () => {
-        if (!isDragging) return;
+    const onMouseUp = (e) => {
+        if (!previewPath) return;
 
-        isDragging = false;
-        note.classList.remove('dragging');
+        previewPath.remove();
+        previewPath = null;
 
-        // Update stored canvas position
-        const newCanvasPos = screenToCanvas(note.offsetLeft, note.offsetTop);
-        noteData.canvasX = newCanvasPos.x;
-        noteData.canvasY = newCanvasPos.y;
+        const target = findConnectorTarget(e.clientX, e.clientY, noteData.id);
+        if (target) {
+            addConnector(noteData, target);
+        }
     };
 
+    handle.addEventListener('mousedown', onMouseDown);
     document.addEventListener('mousemove', onMouseMove);
     document.addEventListener('mouseup', onMouseUp);
 
-    // Store handlers for cleanup
+    // Store cleanup function
+    const existingCleanup = noteData.cleanupHandlers;
     noteData.cleanupHandlers = () => {
+        if (existingCleanup) existingCleanup();
         document.removeEventListener('mousemove', onMouseMove);
         document.removeEventListener('mouseup', onMouseUp);
     };
 }
 
 /**
- * Remove a sticky note by ID
+ * Pan the canvas so a canvas position is in the middle of the view
  */
-function removeNote(noteId) {
-    const index = stickyNotes.findIndex(n => n.id === noteId);
-    if (index !== -1) {
-        const note = stickyNotes[index];
+function centerCanvasOn(canvasX, canvasY) {
+    const ds = app.canvas.ds;
+    const rect = canvasEl.getBoundingClientRect();
 
-        // Clean up event handlers
-        if (note.cleanupHandlers) {
-            note.cleanupHandlers();
-        }
+    ds.offset[0] = rect.width / 2 / ds.scale - canvasX;
+    ds.offset[1] = rect.height / 2 / ds.scale - canvasY;
+    app.canvas.setDirty(true, true);
+}
 
-        note.element.remove();
-        stickyNotes.splice(index, 1);
+/**
+ * Center the canvas on a referenced node and select it
+ */
+function navigateToNode(ref) {
+    const node = resolveNodeReference(ref);
+    if (!node) return;
 
-        // Clear selection if this was selected
-        if (selectedNoteId === noteId) {
-            selectedNoteId = null;
-        }
+    const bounds = getNodeBounds(node);
+    centerCanvasOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+
+    deselectAllNotes();
+    app.canvas.selectNode(node);
+}
+
+/**
+ * Pan and zoom the canvas to a note, select it and briefly highlight it
+ */
+function focusNote(note) {
+    const ds = app.canvas.ds;
+    const rect = canvasEl.getBoundingClientRect();
+    const bounds = getNoteBounds(note);
+
+    // Zoom in to at least 100% unless that would not fit the note on screen
+    const fitScale = Math.min(rect.width * 0.8 / bounds.width, rect.height * 0.8 / bounds.height);
+    ds.scale = Math.min(Math.max(ds.scale, 1), fitScale);
+
+    centerCanvasOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+    updateAllNotePositions();
+
+    selectNote(note.id);
+    note.element.classList.remove('highlighted');
+    void note.element.offsetWidth; // restart the animation
+    note.element.classList.add('highlighted');
+}
+
+/**
+ * Select a note by ID (replaces the current selection)
+ */
+function selectNote(noteId) {
+    // Deselect previous
+    deselectAllNotes();
+    addNoteToSelection(noteId);
+}
+
+/**
+ * Add a note to the current selection
+ */
+function addNoteToSelection(noteId) {
+    const note = stickyNotes.find(n => n.id === noteId);
+    if (note && !note.hidden) {
+        selectedNoteIds.add(noteId);
+        note.element.classList.add('selected');
+        scheduleNoteListUpdate();
+    }
+}
+
+/**
+ * Remove a note from the current selection
+ */
+function removeNoteFromSelection(noteId) {
+    selectedNoteIds.delete(noteId);
+    const note = stickyNotes.find(n => n.id === noteId);
+    if (note) {
+        note.element.classList.remove('selected');
     }
+    scheduleNoteListUpdate();
 }
 
-// Track if 'T' key is held down
-let isTKeyHeld = false;
+/**
+ * Toggle a note in the current selection (Shift/Ctrl-click)
+ */
+function toggleNoteSelection(noteId) {
+    if (selectedNoteIds.has(noteId)) {
+        removeNoteFromSelection(noteId);
+    } else {
+        addNoteToSelection(noteId);
+    }
+}
 
-// Clipboard for copy/paste
-let clipboardNote = null;
+/**
+ * Deselect all notes
+ */
+function deselectAllNotes() {
+    deselectConnector();
+
+    for (const noteId of selectedNoteIds) {
+        const note = stickyNotes.find(n => n.id === noteId);
+        if (note) {
+            note.element.classList.remove('selected');
+        }
+    }
+    selectedNoteIds.clear();
+    scheduleNoteListUpdate();
+}
+
+/**
+ * Get the currently selected notes (in stacking order)
+ */
+function getSelectedNotes() {
+    return stickyNotes.filter(n => selectedNoteIds.has(n.id));
+}
+
+/**
+ * Update the selection for a mouse press on a note
+ * Shift/Ctrl/Cmd-click toggles, a plain click on an unselected note selects only it.
+ * @returns {boolean} Whether the note is selected afterwards
+ */
+function handleNoteSelectionClick(noteId, e) {
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+        toggleNoteSelection(noteId);
+    } else if (!selectedNoteIds.has(noteId)) {
+        selectNote(noteId);
+    }
+    return selectedNoteIds.has(noteId);
+}
+
+/**
+ * Start editing a note's content
+ */
+function startEditing(noteData) {
+    if (isNoteReadOnly(noteData)) return;
+
+    const content = noteData.element.querySelector('.sticky-note-content');
+    if (!content) return;
+
+    noteData.isEditing = true;
+
+    // Show raw markdown text for editing
+    showRawContent(noteData);
+
+    content.contentEditable = 'true';
+    content.focus();
+
+    // Select all text
+    const range = document.createRange();
+    range.selectNodeContents(content);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+
+/**
+ * Show a note collapsed to its title bar, or expanded to its stored size
+ */
+function applyCollapsedState(noteData) {
+    const el = noteData.element;
+    el.classList.toggle('collapsed', !!noteData.collapsed);
+
+    // A collapsed note is as wide as its title, up to its normal width
+    el.style.width = noteData.collapsed ? 'max-content' : `${noteData.width}px`;
+    el.style.maxWidth = noteData.collapsed ? `${noteData.width}px` : '';
+    el.style.minHeight = noteData.collapsed ? '0' : `${noteData.height}px`;
+
+    const collapseBtn = el.querySelector('.sticky-note-collapse');
+    collapseBtn.innerHTML = noteData.collapsed ? '&#9656;' : '&#9662;';
+    collapseBtn.title = noteData.collapsed ? 'Expand note' : 'Collapse note';
+}
+
+/**
+ * Collapse or expand notes as one undo step
+ * In viewer mode the change is only local: it isn't recorded or saved with the workflow.
+ * @param {Array} notes - Notes to change
+ * @param {boolean} collapsed - New state
+ */
+function setNotesCollapsed(notes, collapsed) {
+    if (viewerMode) {
+        for (const note of notes) {
+            if (!!note.collapsed === collapsed) continue;
+
+            note.savedCollapsed ??= !!note.collapsed;
+            applyNoteState(note, { collapsed });
+        }
+        return;
+    }
+
+    const changes = [];
+
+    for (const note of notes) {
+        if (!!note.collapsed === collapsed) continue;
+
+        if (note.isEditing) {
+            stopEditing(note);
+        }
+        changes.push({ id: note.id, before: { collapsed: !!note.collapsed }, after: { collapsed } });
+        applyNoteState(note, { collapsed });
+    }
+
+    if (changes.length > 0) {
+        recordNoteChanges(changes);
+    }
+}
+
+/**
+ * Collapse or expand a note (with the rest of the selection when it is selected)
+ */
+function toggleNoteCollapsed(noteData) {
+    const targets = selectedNoteIds.has(noteData.id) ? getSelectedNotes() : [noteData];
+    setNotesCollapsed(targets, !noteData.collapsed);
+}
+
+/**
+ * Get the highest z value of all notes (0 when there are none)
+ */
+function getTopZ() {
+    return stickyNotes.reduce((top, note) => Math.max(top, note.z ?? 0), 0);
+}
+
+/**
+ * Stack note elements by their z values (notes with equal z keep creation order)
+ */
+function applyZOrder() {
+    zOrderScheduled = false;
+
+    const ordered = [...stickyNotes].sort((a, b) => a.z - b.z);
+    ordered.forEach((note, index) => {
+        const zIndex = String(index + 1);
+        if (note.element.style.zIndex !== zIndex) {
+            note.element.style.zIndex = zIndex;
+        }
+    });
+}
+
+/**
+ * Restack the notes before the next frame is drawn (once for many new notes)
+ */
+function scheduleZOrder() {
+    if (zOrderScheduled) return;
+
+    zOrderScheduled = true;
+    requestAnimationFrame(applyZOrder);
+}
+
+/**
+ * Show whether a note is drawn behind nodes, and restack the notes
+ */
+function applyLayerState(noteData) {
+    noteData.element.classList.toggle('behind-nodes', !!noteData.behindNodes);
+    scheduleZOrder();
+    redrawCanvasNotes();
+}
+
+/**
+ * Move notes in the stacking order as one undo step (locked notes stay where they are)
+ * @param {Array} notes - Notes to move
+ * @param {'front'|'back'|'forward'|'backward'} direction
+ */
+function reorderNotes(notes, direction) {
+    if (viewerMode) return;
+
+    const moving = new Set(notes.filter(note => !isNoteReadOnly(note)));
+    if (moving.size === 0) return;
+
+    const ordered = [...stickyNotes].sort((a, b) => a.z - b.z);
+
+    let result;
+    if (direction === 'front' || direction === 'back') {
+        const rest = ordered.filter(n => !moving.has(n));
+        const moved = ordered.filter(n => moving.has(n));
+        result = direction === 'front' ? [...rest, ...moved] : [...moved, ...rest];
+    } else {
+        // Swap each moving note with its neighbour, walking away from the direction of travel
+        result = [...ordered];
+        const step = direction === 'forward' ? 1 : -1;
+        const indices = result.map((n, i) => i).filter(i => moving.has(result[i]));
+        if (step === 1) indices.reverse();
+
+        for (const i of indices) {
+            const j = i + step;
+            if (j < 0 || j >= result.length || moving.has(result[j])) continue;
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+    }
+
+    // Renumber the stack from 1 so z values stay small
+    const changes = [];
+    result.forEach((note, index) => {
+        const z = index + 1;
+        if (note.z !== z) {
+            changes.push({ id: note.id, before: { z: note.z }, after: { z } });
+            note.z = z;
+        }
+    });
+
+    applyZOrder();
+    redrawCanvasNotes();
+
+    if (changes.length > 0) {
+        recordNoteChanges(changes);
+    }
+}
+
+/**
+ * Get the notes a layer command applies to: the selection, or the given note
+ */
+function getLayerTargets(noteData = null) {
+    if (noteData && !selectedNoteIds.has(noteData.id)) return [noteData];
+    return getSelectedNotes();
+}
+
+/**
+ * Draw notes behind nodes (or back in the overlay) - recorded in undo history
+ */
+function setNotesBehindNodes(notes, behindNodes) {
+    const changes = [];
+
+    for (const note of notes) {
+        if (!!note.behindNodes === behindNodes || isNoteReadOnly(note)) continue;
+
+        changes.push({ id: note.id, before: { behindNodes: !!note.behindNodes }, after: { behindNodes } });
+        applyNoteState(note, { behindNodes });
+    }
+
+    if (changes.length > 0) {
+        recordNoteChanges(changes);
+    }
+}
+
+/**
+ * Show whether a note is hidden on its element
+ * Hidden notes are left out of the view, the canvas drawing and the selection.
+ */
+function applyHiddenState(noteData) {
+    noteData.element.classList.toggle('hidden', !!noteData.hidden);
+
+    if (noteData.hidden && selectedNoteIds.has(noteData.id)) {
+        removeNoteFromSelection(noteData.id);
+    }
+    redrawCanvasNotes();
+}
+
+/**
+ * Hide notes or show them again - recorded in undo history
+ */
+function setNotesHidden(notes, hidden) {
+    if (viewerMode) return;
+
+    const changes = [];
+
+    for (const note of notes) {
+        if (!!note.hidden === hidden) continue;
+
+        if (note.isEditing) {
+            stopEditing(note);
+        }
+        changes.push({ id: note.id, before: { hidden: !!note.hidden }, after: { hidden } });
+        applyNoteState(note, { hidden });
+    }
+
+    if (changes.length > 0) {
+        recordNoteChanges(changes);
+    }
+}
+
+// Arrange actions for the selected notes, each registered as a command
+// `minNotes` is how many notes the action needs to do anything.
+const ARRANGE_ACTIONS = [
+    { id: 'AlignLeft', label: 'Align Left', minNotes: 2, arrange: (rects) => alignRects(rects, 'left') },
+    { id: 'AlignCenter', label: 'Align Centers Horizontally', minNotes: 2, arrange: (rects) => alignRects(rects, 'center') },
+    { id: 'AlignRight', label: 'Align Right', minNotes: 2, arrange: (rects) => alignRects(rects, 'right') },
+    { id: 'AlignTop', label: 'Align Top', minNotes: 2, arrange: (rects) => alignRects(rects, 'top') },
+    { id: 'AlignMiddle', label: 'Align Centers Vertically', minNotes: 2, arrange: (rects) => alignRects(rects, 'middle') },
+    { id: 'AlignBottom', label: 'Align Bottom', minNotes: 2, arrange: (rects) => alignRects(rects, 'bottom') },
+    { id: 'DistributeHorizontally', label: 'Distribute Horizontally', minNotes: 3, arrange: (rects) => distributeRects(rects, 'x') },
+    { id: 'DistributeVertically', label: 'Distribute Vertically', minNotes: 3, arrange: (rects) => distributeRects(rects, 'y') },
+    { id: 'StackColumn', label: 'Stack in a Column', minNotes: 2, arrange: (rects) => stackRects(rects) },
+    { id: 'ArrangeGrid', label: 'Arrange in a Grid', minNotes: 2, arrange: (rects) => gridRects(rects) },
+    {
+        id: 'MoveOffNodes',
+        label: 'Move Off Nodes',
+        minNotes: 1,
+        arrange: (rects) => pushOffRects(rects, (app.graph?._nodes || []).map(getNodeBounds))
+    }
+];
+
+/**
+ * Move notes to the positions an arrange action computes from their bounds, as one undo step
+ * Locked notes stay where they are.
+ * @param {Object} action - One of ARRANGE_ACTIONS
+ * @param {Array} notes - Notes to arrange
+ */
+function arrangeNotes(action, notes) {
+    const movable = notes.filter(n => !isNoteReadOnly(n));
+    if (movable.length < action.minNotes) return;
+
+    const positions = action.arrange(movable.map(getNoteBounds));
+    const changes = [];
+
+    movable.forEach((note, index) => {
+        const { x, y } = positions[index];
+        if (x === note.canvasX && y === note.canvasY) return;
+
+        const before = { canvasX: note.canvasX, canvasY: note.canvasY, attachedTo: note.attachedTo };
+        note.canvasX = x;
+        note.canvasY = y;
+        updateAttachmentOffset(note);
+        changes.push({ id: note.id, before, after: { canvasX: x, canvasY: y, attachedTo: note.attachedTo } });
+    });
+
+    if (changes.length > 0) {
+        updateAllNotePositions();
+        recordNoteChanges(changes);
+    }
+}
+
+/**
+ * Get the notes an arrange command applies to: the selection, or every note
+ * for moving notes off nodes when nothing is selected
+ */
+function getArrangeTargets(action) {
+    const selected = getSelectedNotes();
+    return selected.length === 0 && action.minNotes === 1 ? stickyNotes : selected;
+}
+
+/**
+ * Ask LiteGraph to redraw the layers notes are drawn on: everything while zoomed
+ * out below the canvas zoom threshold, otherwise the background for notes behind nodes
+ */
+function redrawCanvasNotes() {
+    if (creatingNotes) return;
+
+    if (canvasRendering) {
+        app.canvas?.setDirty(true, true);
+    } else if (stickyNotes.some(n => n.behindNodes)) {
+        app.canvas?.setDirty(false, true);
+    }
+}
+
+/**
+ * Draw a note onto a canvas in canvas coordinates as a card: its color, optionally
+ * its title, and as many lines of its text as fit
+ * Used for notes behind nodes (whose title bar stays in the overlay), for all notes
+ * when zoomed out too far to read them, and for exported images.
+ * @param {CanvasRenderingContext2D} ctx - Context transformed to canvas coordinates
+ * @param {Object} note - Note to draw
+ * @param {Object} [options]
+ * @param {boolean} [options.title] - Draw the title in the title bar
+ * @param {number} [options.scale] - Zoom level: the title grows to stay readable,
+ *   text too small to read is left out
+ */
+function drawNoteOnCanvas(ctx, note, { title = false, scale = 1 } = {}) {
+    const { x, y, width, height } = getNoteBounds(note);
+    const color = getNoteColor(note.color);
+    const family = (FONT_FAMILIES[note.fontFamily] || FONT_FAMILIES[DEFAULT_FONT_FAMILY]).css;
+    const radius = 8;
+    const padding = 12;
+    const titleSize = Math.max(13, MIN_CANVAS_TEXT_SIZE * 2 / scale);
+    const headerHeight = title ? Math.max(32, titleSize + 16) : 32;
+
+    ctx.save();
+
+    ctx.beginPath();
+    if (ctx.roundRect) {
+        ctx.roundRect(x, y, width, height, radius);
+    } else {
+        ctx.rect(x, y, width, height);
+    }
+    ctx.globalAlpha = note.behindNodes ? 0.85 : 1;
+    ctx.fillStyle = color.bg;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.clip();
+
+    ctx.fillStyle = color.text;
+    ctx.textBaseline = 'top';
+
+    let lines = getNotePlainText(note);
+    if (title) {
+        const noteTitle = getNoteTitle(note);
+        ctx.font = `600 ${titleSize}px ${family}`;
+        ctx.textAlign = 'left';
+        ctx.fillText(fitCanvasText(ctx, noteTitle, width - padding * 2), x + padding, y + (headerHeight - titleSize) / 2);
+
+        // Don't repeat the title as the first line of text
+        const first = lines.findIndex(line => line.trim());
+        if (first !== -1 && lines[first].trim() === noteTitle) {
+            lines = lines.slice(first + 1);
+        }
+    }
+
+    const fontSize = note.fontSize || DEFAULT_FONT_SIZE;
+    if (!note.collapsed && fontSize * scale >= MIN_CANVAS_TEXT_SIZE) {
+        const lineHeight = fontSize * 1.5;
+        const maxWidth = width - padding * 2;
+        const textX = { left: x + padding, center: x + width / 2, right: x + width - padding }[note.textAlign] ?? x + padding;
+
+        ctx.font = `${fontSize}px ${family}`;
+        ctx.textAlign = note.textAlign || 'left';
+
+        let lineY = y + headerHeight + padding;
+        for (const line of wrapCanvasText(ctx, lines, maxWidth)) {
+            if (lineY > y + height) break;
+            ctx.fillText(line, textX, lineY);
+            lineY += lineHeight;
+        }
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Shorten text with an ellipsis to fit a width on a canvas
+ */
+function fitCanvasText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+
+    let fitted = text;
+    while (fitted.length > 0 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+}
+
+/**
+ * Draw the notes on one side of the nodes onto a canvas, bottom to top
+ * @param {CanvasRenderingContext2D} ctx - Context transformed to canvas coordinates
+ * @param {boolean} behindNodes - Draw the notes behind nodes, or the ones above them
+ * @param {Array} [area] - LiteGraph's visible area [x, y, width, height]; notes outside it are skipped
+ */
+function drawNotesOnCanvas(ctx, behindNodes, area = null) {
+    if (!settings.showNotes) return;
+
+    const visible = area && { x: area[0], y: area[1], width: area[2], height: area[3] };
+    const notes = stickyNotes
+        .filter(n => !n.hidden && !!n.behindNodes === behindNodes && (!visible || isRectVisible(getNoteBounds(n), visible)))
+        .sort((a, b) => a.z - b.z);
+
+    const options = {
+        title: canvasRendering || exportingImage,
+        scale: exportingImage ? 1 : app.canvas.ds.scale
+    };
+    for (const note of notes) {
+        drawNoteOnCanvas(ctx, note, options);
+    }
+}
+
+/**
+ * Switch between notes in the overlay and notes drawn on the canvas as the zoom
+ * level crosses the canvas zoom threshold
+ */
+function updateCanvasRendering() {
+    const active = settings.showNotes && app.canvas.ds.scale < settings.canvasZoomThreshold;
+    if (active === canvasRendering) return;
+
+    canvasRendering = active;
+    overlay?.classList.toggle('canvas-rendered', active);
+
+    // Hidden notes can't be edited
+    if (active) {
+        stickyNotes.filter(n => n.isEditing).forEach(stopEditing);
+    }
+}
+
+/**
+ * Get a note's text as plain lines, with node references and widget values resolved
+ */
+function getNotePlainText(note) {
+    return renderPlainText(note.text, {
+        formatNodeReference: (ref) => {
+            const node = resolveNodeReference(ref);
+            return node ? (node.title || node.type || `#${node.id}`) : ref;
+        },
+        formatWidgetReference: (ref, widgetName) => {
+            const value = getWidgetValue(ref, widgetName);
+            return value === undefined ? getWidgetPlaceholder(ref, widgetName) : formatWidgetValue(value);
+        }
+    });
+}
+
+/**
+ * Word-wrap lines of text to a maximum width on a canvas
+ */
+function wrapCanvasText(ctx, lines, maxWidth) {
+    const wrapped = [];
+
+    for (const line of lines) {
+        let current = '';
+        for (const word of line.split(/(\s+)/)) {
+            const candidate = current + word;
+            if (current && ctx.measureText(candidate).width > maxWidth) {
+                wrapped.push(current.trimEnd());
+                current = word.trimStart();
+            } else {
+                current = candidate;
+            }
+        }
+        wrapped.push(current);
+    }
+
+    return wrapped;
+}
+
+/**
+ * Draw notes marked "behind nodes" on LiteGraph's background layer, below the nodes
+ */
+function hookBackgroundDrawing() {
+    const canvas = app.canvas;
+    const originalOnDrawBackground = canvas.onDrawBackground;
+
+    canvas.onDrawBackground = function(ctx, area) {
+        originalOnDrawBackground?.apply(this, arguments);
+        drawNotesOnCanvas(ctx, true, exportingImage ? null : area);
+    };
+}
+
+/**
+ * Check whether a note can't be changed: it is locked or the workflow is in viewer mode
+ */
+function isNoteReadOnly(note) {
+    return viewerMode || !!note.locked;
+}
+
+/**
+ * Show a note's lock state on its element
+ */
+function applyLockState(noteData) {
+    const el = noteData.element;
+    el.classList.toggle('locked', !!noteData.locked);
+
+    const lockBtn = el.querySelector('.sticky-note-lock');
+    lockBtn.innerHTML = noteData.locked ? '&#128274;' : '&#128275;';
+    lockBtn.title = noteData.locked ? 'Unlock note' : 'Lock note (prevents moving, resizing, editing and deleting)';
+}
+
+/**
+ * Lock or unlock a note - recorded in undo history
+ */
+function toggleNoteLock(noteData) {
+    if (viewerMode) return;
+
+    if (noteData.isEditing) {
+        stopEditing(noteData);
+    }
+
+    const before = { locked: !!noteData.locked };
+    const after = { locked: !noteData.locked };
+    applyNoteState(noteData, after);
+    recordNoteChange(noteData.id, before, after);
+}
+
+/**
+ * Turn workflow-wide viewer mode on or off
+ * In viewer mode every note is read-only and no notes can be added.
+ */
+function setViewerMode(enabled) {
+    viewerMode = enabled;
+    overlay?.classList.toggle('viewer-mode', enabled);
+
+    if (enabled) {
+        cancelAttachMode();
+        stickyNotes.filter(n => n.isEditing).forEach(stopEditing);
+    } else {
+        // Notes expanded or collapsed while viewing go back to their saved state
+        for (const note of stickyNotes.filter(n => n.savedCollapsed !== undefined)) {
+            const collapsed = note.savedCollapsed;
+            delete note.savedCollapsed;
+            applyNoteState(note, { collapsed });
+        }
+    }
+}
+
+/**
+ * Toggle viewer mode for the current workflow
+ * The mode is saved with the workflow, so the workflow is marked as modified.
+ */
+function toggleViewerMode() {
+    setViewerMode(!viewerMode);
+    getChangeTracker()?.checkState();
+}
+
+/**
+ * Read a file as a data URL
+ */
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Build a /view URL for a file served by ComfyUI
+ */
+function getViewUrl(filename, type = 'input', subfolder = '') {
+    const params = new URLSearchParams({ filename, type, subfolder });
+    return api.apiURL(`/view?${params}`);
+}
+
+/**
+ * Upload an image to ComfyUI's input folder
+ * @returns {Promise<string>} The /view URL of the uploaded file
+ */
+async function uploadImage(file) {
+    const body = new FormData();
+    body.append('image', file);
+    body.append('subfolder', IMAGE_UPLOAD_SUBFOLDER);
+
+    const response = await api.fetchApi('/upload/image', { method: 'POST', body });
+    if (response.status !== 200) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    const { name, subfolder, type } = await response.json();
+    return getViewUrl(name, type, subfolder);
+}
+
+/**
+ * Build image markdown, using the file name (without extension) as alt text
+ */
+function buildImageMarkdown(filename, src) {
+    const alt = (filename || 'image').replace(/\.[^.]+$/, '').replace(/([[\]\\])/g, '\\$1');
+    return `![${alt}](${src})`;
+}
+
+/**
+ * Turn an image file into markdown: small images inline, larger ones uploaded
+ */
+async function getImageMarkdown(file) {
+    const src = file.size <= MAX_INLINE_IMAGE_BYTES
+        ? await readFileAsDataUrl(file)
+        : await uploadImage(file);
+
+    return buildImageMarkdown(file.name, src);
+}
+
+/**
+ * Get a dropped image URL that ComfyUI already serves (e.g. an image dragged from a preview)
+ */
+function getDroppedViewUrl(dataTransfer) {
+    const uri = dataTransfer.getData('text/uri-list').split('\n').find(line => line && !line.startsWith('#'));
+    if (!uri) return null;
+
+    try {
+        const url = new URL(uri.trim(), location.href);
+        return url.origin === location.origin && /\/view$/.test(url.pathname)
+            ? url.pathname + url.search
+            : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Insert pasted or dropped images into a note at the caret
+ * If editing ended while an image was uploading, the image is appended instead.
+ * @param {Object} noteData - Note being edited
+ * @param {Array<File>} files - Image files
+ * @param {Range|null} range - Where to insert
+ */
+async function insertImages(noteData, files, range) {
+    let markdown;
+    try {
+        markdown = (await Promise.all(files.map(getImageMarkdown))).join('\n');
+    } catch (error) {
+        console.error('[Sticky Notes] Failed to add image:', error);
+        showErrorMessage('Could not add the image to the note', error.message);
+        return;
+    }
+
+    insertMarkdown(noteData, markdown, range);
+}
+
+/**
+ * Insert markdown text into a note at a caret position (or append it when not editing)
+ * Called after uploads, so the note may have been locked or deleted in the meantime.
+ */
+function insertMarkdown(noteData, markdown, range) {
+    if (isNoteReadOnly(noteData) || !stickyNotes.includes(noteData)) return;
+
+    const content = noteData.element.querySelector('.sticky-note-content');
+
+    if (noteData.isEditing) {
+        content.focus();
+        if (range && content.contains(range.startContainer)) {
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        document.execCommand('insertText', false, markdown);
+        return;
+    }
+
+    const previousText = noteData.text;
+    noteData.text = `${previousText}\n${markdown}`;
+    recordNoteChange(noteData.id, { text: previousText }, { text: noteData.text });
+    renderNoteContent(noteData);
+}
+
+/**
+ * Let images be pasted or dropped into a note while it is being edited
+ */
+function setupImageInput(noteData, content) {
+    content.addEventListener('paste', (e) => {
+        if (!noteData.isEditing) return;
+
+        const files = [...(e.clipboardData?.files || [])].filter(file => file.type.startsWith('image/'));
+        if (files.length === 0) return;
+
+        e.preventDefault();
+        const selection = window.getSelection();
+        const range = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+        insertImages(noteData, files, range);
+    });
+
+    content.addEventListener('dragover', (e) => {
+        if (!noteData.isEditing) return;
+
+        const types = [...e.dataTransfer.types];
+        if (types.includes('Files') || types.includes('text/uri-list')) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        }
+    });
+
+    content.addEventListener('drop', (e) => {
+        if (!noteData.isEditing) return;
+
+        const files = [...e.dataTransfer.files].filter(file => file.type.startsWith('image/'));
+        const viewUrl = files.length === 0 ? getDroppedViewUrl(e.dataTransfer) : null;
+        if (files.length === 0 && !viewUrl) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        // Insert where the image was dropped
+        const range = document.caretRangeFromPoint?.(e.clientX, e.clientY) ?? null;
+        if (viewUrl) {
+            const filename = new URL(viewUrl, location.href).searchParams.get('filename');
+            insertMarkdown(noteData, buildImageMarkdown(filename, viewUrl), range);
+        } else {
+            insertImages(noteData, files, range);
+        }
+    });
+}
+
+/**
+ * Stop editing a note's content
+ */
+function stopEditing(noteData) {
+    if (!noteData || !noteData.isEditing) return;
+
+    const content = noteData.element.querySelector('.sticky-note-content');
+    if (!content) return;
+
+    noteData.isEditing = false;
+    content.contentEditable = 'false';
+
+    // Remove focus
+    content.blur();
+
+    // Store the raw text
+    const previousText = noteData.text;
+    noteData.text = content.textContent;
+
+    if (noteData.text !== previousText) {
+        recordNoteChange(noteData.id, { text: previousText }, { text: noteData.text });
+    }
+
+    // Render markdown
+    renderNoteContent(noteData);
+}
+
+/**
+ * Check whether a value is a hex color (#rgb or #rrggbb)
+ */
+function isHexColor(value) {
+    return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+/**
+ * Normalize a hex color to lowercase #rrggbb
+ */
+function normalizeHexColor(hex) {
+    const digits = hex.slice(1).toLowerCase();
+    return '#' + (digits.length === 3 ? digits.split('').map(d => d + d).join('') : digits);
+}
+
+/**
+ * Check whether a color is a preset key or a custom hex color
+ */
+function isValidNoteColor(color) {
+    return !!NOTE_COLORS[color] || isHexColor(color);
+}
+
+/**
+ * Get the WCAG relative luminance of a #rrggbb color
+ */
+function getLuminance(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => {
+        const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Get the WCAG contrast ratio between two #rrggbb colors
+ */
+function getContrastRatio(a, b) {
+    const [light, dark] = [getLuminance(a), getLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Mix a #rrggbb color towards another by a ratio (0 = first color, 1 = second)
+ */
+function mixColors(a, b, ratio) {
+    const channel = (hex, i) => parseInt(hex.slice(i, i + 2), 16);
+    return '#' + [1, 3, 5].map(i => {
+        const value = Math.round(channel(a, i) * (1 - ratio) + channel(b, i) * ratio);
+        return value.toString(16).padStart(2, '0');
+    }).join('');
+}
+
+/**
+ * Pick a readable text color for a background: a deep shade of the same hue,
+ * like the preset colors, or plain near-black/near-white if that isn't readable
+ */
+function getContrastTextColor(bg) {
+    const isLight = getLuminance(bg) > 0.18;
+    const shade = mixColors(bg, isLight ? '#000000' : '#ffffff', 0.75);
+    if (getContrastRatio(bg, shade) >= 4.5) return shade;
+
+    return isLight ? '#111827' : '#f9fafb';
+}
+
+/**
+ * Resolve a note color (preset key or hex) to background and text colors
+ * for the active theme. Unknown values fall back to the default color.
+ */
+function getNoteColor(color) {
+    if (isHexColor(color) && !NOTE_COLORS[color]) {
+        const hex = normalizeHexColor(color);
+        // On dark themes light custom colors are toned down to a deep tint of the same hue
+        const bg = darkTheme && getLuminance(hex) > 0.18 ? mixColors(hex, '#18181b', 0.72) : hex;
+        return { bg, text: getContrastTextColor(bg), name: hex };
+    }
+
+    const preset = NOTE_COLORS[color] || NOTE_COLORS[DEFAULT_COLOR];
+    return darkTheme
+        ? { bg: preset.darkBg, text: preset.darkText, name: preset.name }
+        : preset;
+}
+
+/**
+ * Load the custom color palette from localStorage
+ */
+function loadCustomPalette() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PALETTE_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(isHexColor).map(normalizeHexColor) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Save the custom color palette and refresh every color picker
+ */
+function saveCustomPalette(palette) {
+    customPalette = palette.slice(0, MAX_PALETTE_COLORS);
+
+    try {
+        localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(customPalette));
+    } catch (error) {
+        // Storage can be full or disabled; the palette still works for this session
+    }
+
+    refreshColorPickers();
+    scheduleNoteListUpdate();
+}
+
+/**
+ * Rebuild the color picker of every note
+ */
+function refreshColorPickers() {
+    for (const note of stickyNotes) {
+        const picker = note.element.querySelector('.sticky-note-colors');
+        if (picker) {
+            fillColorPicker(picker, note);
+        }
+    }
+}
+
+/**
+ * Add a color to the front of the custom palette (moving it if already there)
+ */
+function addToCustomPalette(hex) {
+    const color = normalizeHexColor(hex);
+    saveCustomPalette([color, ...customPalette.filter(c => c !== color)]);
+}
+
+/**
+ * Apply color to a note element
+ */
+function applyNoteColor(noteElement, colorKey) {
+    const color = getNoteColor(colorKey);
+    noteElement.style.setProperty('--note-bg', color.bg);
+    noteElement.style.setProperty('--note-text', color.text);
+
+    // Update active state in color picker
+    const active = isHexColor(colorKey) ? normalizeHexColor(colorKey) : colorKey;
+    const dots = noteElement.querySelectorAll('.color-dot');
+    dots.forEach(dot => {
+        dot.classList.toggle('active', dot.dataset.color === active);
+    });
+}
+
+/**
+ * Change a note's color (a preset key or any hex color)
+ * When the note is part of the selection, the whole selection is recolored.
+ */
+function changeNoteColor(noteData, colorKey) {
+    if (!isValidNoteColor(colorKey)) return;
+    if (isHexColor(colorKey)) {
+        colorKey = normalizeHexColor(colorKey);
+    }
+
+    const targets = selectedNoteIds.has(noteData.id) ? getSelectedNotes() : [noteData];
+    const changes = [];
+
+    for (const note of targets) {
+        if (note.color === colorKey || isNoteReadOnly(note)) continue;
+
+        changes.push({ id: note.id, before: { color: note.color }, after: { color: colorKey } });
+        note.color = colorKey;
+        applyNoteColor(note.element, colorKey);
+    }
+
+    if (changes.length > 0) {
+        recordNoteChanges(changes);
+    }
+}
+
+/**
+ * Parse a CSS color (#rgb, #rrggbb or rgb()/rgba()) to #rrggbb, or null
+ */
+function parseCssColor(value) {
+    value = value.trim();
+    if (isHexColor(value)) return normalizeHexColor(value);
+
+    const match = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+    if (!match) return null;
+
+    return '#' + match.slice(1, 4).map(c => Number(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Detect whether ComfyUI's active color palette is dark
+ * The new frontend marks dark palettes with a class; otherwise the
+ * palette's menu background tells light and dark palettes apart.
+ */
+function detectDarkTheme() {
+    if (document.body.classList.contains('dark-theme') ||
+        document.documentElement.classList.contains('dark-theme')) {
+        return true;
+    }
+
+    const menuBg = parseCssColor(getComputedStyle(document.documentElement).getPropertyValue('--comfy-menu-bg'));
+    if (menuBg) return getLuminance(menuBg) < 0.4;
+
+    // ComfyUI defaults to a dark palette
+    return true;
+}
+
+/**
+ * Re-detect the theme and recolor everything when it changed
+ */
+function updateTheme() {
+    const dark = detectDarkTheme();
+    document.body.classList.toggle('sticky-notes-dark', dark);
+    if (dark === darkTheme) return;
+
+    darkTheme = dark;
+    for (const note of stickyNotes) {
+        applyNoteColor(note.element, note.color);
+    }
+    refreshColorPickers();
+    updateConnectors();
+    scheduleNoteListUpdate();
+}
+
+/**
+ * Find the style element that defines ComfyUI's palette variables, if there is one
+ */
+function findPaletteStyle() {
+    return [...document.head.querySelectorAll('style')]
+        .find(style => style.textContent.includes('--comfy-menu-bg')) || null;
+}
+
+/**
+ * Follow ComfyUI palette switches (class and CSS variable changes)
+ * The palette's style element is watched while it exists; the head is only watched
+ * for style elements being added or removed, so ComfyUI can create or replace it later.
+ */
+function setupThemeTracking() {
+    updateTheme();
+
+    const observer = new MutationObserver(() => updateTheme());
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class', 'style'] });
+    observer.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+
+    let paletteStyle = null;
+    const paletteObserver = new MutationObserver(() => updateTheme());
+    const watchPaletteStyle = () => {
+        const style = findPaletteStyle();
+        if (style === paletteStyle) return;
+
+        paletteObserver.disconnect();
+        paletteStyle = style;
+        if (style) {
+            paletteObserver.observe(style, { attributes: true, childList: true, subtree: true, characterData: true });
+        }
+        updateTheme();
+    };
+    watchPaletteStyle();
+
+    const isStyle = (node) => node.nodeName === 'STYLE';
+    new MutationObserver((mutations) => {
+        if (mutations.some(m => [...m.addedNodes].some(isStyle) || [...m.removedNodes].some(isStyle))) {
+            watchPaletteStyle();
+        }
+    }).observe(document.head, { childList: true });
+}
+
+/**
+ * Apply a note's font size, font family and alignment to its content
+ */
+function applyTextStyle(noteData) {
+    const content = noteData.element.querySelector('.sticky-note-content');
+    content.style.fontSize = `${noteData.fontSize}px`;
+    content.style.fontFamily = (FONT_FAMILIES[noteData.fontFamily] || FONT_FAMILIES[DEFAULT_FONT_FAMILY]).css;
+    content.style.textAlign = noteData.textAlign;
+
+    const menu = noteData.element.querySelector('.sticky-note-style-menu');
+    if (menu) {
+        updateTextStyleMenu(menu, noteData);
+    }
+}
+
+/**
+ * Change text style properties of a note
+ * When the note is part of the selection, the whole selection is restyled.
+ * @param {Object} noteData - Note data object
+ * @param {Object|Function} style - Properties to set, or a function from a note to them
+ */
+function changeNoteTextStyle(noteData, style) {
+    const targets = selectedNoteIds.has(noteData.id) ? getSelectedNotes() : [noteData];
+    const changes = [];
+
+    for (const note of targets) {
+        if (isNoteReadOnly(note)) continue;
+
+        const after = typeof style === 'function' ? style(note) : style;
+        const before = {};
+        for (const key of Object.keys(after)) {
+            before[key] = note[key];
+        }
+        if (Object.keys(after).every(key => before[key] === after[key])) continue;
+
+        changes.push({ id: note.id, before, after });
+        applyNoteState(note, after);
+    }
+
+    if (changes.length > 0) {
+        recordNoteChanges(changes);
+    }
+}
+
+/**
+ * Open or close the text style menu of a note
+ */
+function toggleTextStyleMenu(noteData) {
+    const existing = noteData.element.querySelector('.sticky-note-style-menu');
+    if (existing) {
+        existing.closeMenu();
+        return;
+    }
+
+    const menu = createTextStyleMenu(noteData);
+    noteData.element.appendChild(menu);
+
+    // Close when clicking anywhere outside the menu
+    const onPointerDown = (e) => {
+        if (!menu.contains(e.target) && !e.target.closest?.('.sticky-note-style')) {
+            menu.closeMenu();
+        }
+    };
+    menu.closeMenu = () => {
+        document.removeEventListener('pointerdown', onPointerDown, true);
+        menu.remove();
+    };
+    document.addEventListener('pointerdown', onPointerDown, true);
+}
+
+/**
+ * Build the text style menu: font size stepper, font family and alignment buttons
+ */
+function createTextStyleMenu(noteData) {
+    const menu = document.createElement('div');
+    menu.className = 'sticky-note-style-menu';
+
+    const addRow = (label) => {
+        const row = document.createElement('div');
+        row.className = 'sticky-note-style-row';
+        const title = document.createElement('span');
+        title.className = 'sticky-note-style-label';
+        title.textContent = label;
+        row.appendChild(title);
+        menu.appendChild(row);
+        return row;
+    };
+    const addButton = (row, text, title, onClick, dataset = {}) => {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        btn.title = title;
+        Object.assign(btn.dataset, dataset);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        row.appendChild(btn);
+        return btn;
+    };
+
+    const sizeRow = addRow('Size');
+    addButton(sizeRow, '\u2212', 'Smaller text', () => changeNoteTextStyle(noteData, note => ({
+        fontSize: Math.max(MIN_FONT_SIZE, note.fontSize - 1)
+    })));
+    const sizeValue = document.createElement('span');
+    sizeValue.className = 'sticky-note-style-size';
+    sizeRow.appendChild(sizeValue);
+    addButton(sizeRow, '+', 'Larger text', () => changeNoteTextStyle(noteData, note => ({
+        fontSize: Math.min(MAX_FONT_SIZE, note.fontSize + 1)
+    })));
+
+    const fontRow = addRow('Font');
+    for (const [key, family] of Object.entries(FONT_FAMILIES)) {
+        const btn = addButton(fontRow, 'Aa', family.name, () => changeNoteTextStyle(noteData, { fontFamily: key }), { fontFamily: key });
+        btn.style.fontFamily = family.css;
+    }
+
+    const alignRow = addRow('Align');
+    const alignIcons = { left: '\u21E4', center: '\u2194', right: '\u21E5' };
+    for (const align of TEXT_ALIGNMENTS) {
+        addButton(alignRow, alignIcons[align], `Align ${align}`, () => changeNoteTextStyle(noteData, { textAlign: align }), { textAlign: align });
+    }
+
+    updateTextStyleMenu(menu, noteData);
+    return menu;
+}
+
+/**
+ * Show a note's current text style in its style menu
+ */
+function updateTextStyleMenu(menu, noteData) {
+    menu.querySelector('.sticky-note-style-size').textContent = `${noteData.fontSize}px`;
+    menu.querySelectorAll('[data-font-family]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.fontFamily === noteData.fontFamily);
+    });
+    menu.querySelectorAll('[data-text-align]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.textAlign === noteData.textAlign);
+    });
+}
+
+/**
+ * Create color picker UI
+ */
+function createColorPicker(noteData) {
+    const picker = document.createElement('div');
+    picker.className = 'sticky-note-colors';
+    fillColorPicker(picker, noteData);
+    return picker;
+}
+
+/**
+ * Create one color dot for a picker
+ */
+function createColorDot(noteData, key) {
+    const color = getNoteColor(key);
+    const dot = document.createElement('button');
+    dot.className = 'color-dot';
+    dot.dataset.color = key;
+    dot.style.backgroundColor = color.bg;
+    dot.title = color.name;
+
+    if (key === noteData.color) {
+        dot.classList.add('active');
+    }
+
+    dot.addEventListener('click', (e) => {
+        e.stopPropagation();
+        changeNoteColor(noteData, key);
+    });
+
+    return dot;
+}
+
+/**
+ * Fill a color picker with the preset colors, the custom palette and an "any color" button
+ * Custom colors can be dragged to reorder them and right-clicked to remove them.
+ */
+function fillColorPicker(picker, noteData) {
+    picker.innerHTML = '';
+
+    for (const key of Object.keys(NOTE_COLORS)) {
+        picker.appendChild(createColorDot(noteData, key));
+    }
+
+    customPalette.forEach((hex, index) => {
+        const dot = createColorDot(noteData, hex);
+        dot.classList.add('custom');
+        dot.title = `${hex} (drag to reorder, right-click to remove)`;
+        dot.draggable = true;
+
+        dot.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/x-sticky-note-color', String(index));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        dot.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('text/x-sticky-note-color')) {
+                e.preventDefault();
+            }
+        });
+        dot.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const from = Number(e.dataTransfer.getData('text/x-sticky-note-color'));
+            const palette = [...customPalette];
+            const [moved] = palette.splice(from, 1);
+            palette.splice(index, 0, moved);
+            saveCustomPalette(palette);
+        });
+        dot.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            saveCustomPalette(customPalette.filter(c => c !== hex));
+        });
+
+        picker.appendChild(dot);
+    });
+
+    // Any color: native color input, the chosen color is added to the palette
+    const anyColor = document.createElement('label');
+    anyColor.className = 'color-dot color-dot-any';
+    anyColor.title = 'Any color...';
+
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = getNoteColor(noteData.color).bg;
+    input.addEventListener('change', () => {
+        changeNoteColor(noteData, input.value);
+        addToCustomPalette(input.value);
+    });
+    input.addEventListener('click', (e) => e.stopPropagation());
+
+    anyColor.appendChild(input);
+    picker.appendChild(anyColor);
+}
+
+/**
+ * Create a new sticky note at the given screen position
+ */
+function createStickyNote(screenX, screenY) {
+    // Convert screen position to canvas coordinates for storage
+    const canvasPos = screenToCanvas(screenX, screenY);
+
+    const noteData = createStickyNoteFromData({
+        canvasX: canvasPos.x,
+        canvasY: canvasPos.y,
+        width: Math.max(MIN_WIDTH, settings.defaultWidth),
+        height: Math.max(MIN_HEIGHT, settings.defaultHeight),
+        text: settings.placeholder,
+        color: NOTE_COLORS[settings.defaultColor] ? settings.defaultColor : DEFAULT_COLOR,
+        createdAt: Date.now()
+    });
+
+    // Select the new note but don't start editing
+    selectNote(noteData.id);
+    recordNotesCreated([noteData]);
+
+    return noteData;
+}
+
+/**
+ * Get the grid size notes snap to, or 0 when they shouldn't snap to the grid
+ */
+function getSnapGridSize() {
+    if (settings.snapToGrid === 'never') return 0;
+
+    if (settings.snapToGrid === 'comfy') {
+        const comfySnap = readSetting('pysssss.SnapToGrid') ||
+            window.LiteGraph?.alwaysSnapToGrid ||
+            app.canvas?.align_to_grid;
+        if (!comfySnap) return 0;
+    }
+
+    const size = readSetting('Comfy.SnapToGrid.GridSize') || window.LiteGraph?.CANVAS_GRID_SIZE;
+    return size > 0 ? size : DEFAULT_GRID_SIZE;
+}
+
+/**
+ * Get the options for snapping a move or resize, or null when Alt is held
+ */
+function getSnapOptions(e) {
+    if (e.altKey) return null;
+
+    const gridSize = getSnapGridSize();
+    const threshold = settings.alignmentGuides ? SNAP_DISTANCE / app.canvas.ds.scale : 0;
+    if (!gridSize && !threshold) return null;
+
+    return { gridSize, threshold };
+}
+
+/**
+ * Get the rectangles notes align with: other notes and the graph's nodes
+ * @param {Array} excluded - Notes being moved or resized
+ */
+function getSnapTargets(excluded) {
+    if (!settings.alignmentGuides) return [];
+
+    const skip = new Set(excluded);
+    const notes = stickyNotes.filter(n => !skip.has(n) && !n.hidden).map(getNoteBounds);
+    const nodes = (app.graph?._nodes || []).map(getNodeBounds);
+    return [...notes, ...nodes];
+}
+
+/**
+ * Show alignment guides (canvas coordinates), or hide them when the list is empty
+ */
+function showAlignmentGuides(guides) {
+    if (!guideLayer) return;
+
+    guideLayer.replaceChildren(...guides.map(guide => {
+        const line = document.createElement('div');
+        line.className = `sticky-notes-guide ${guide.axis === 'x' ? 'vertical' : 'horizontal'}`;
+
+        const start = guide.axis === 'x'
+            ? canvasToScreen(guide.position, guide.from)
+            : canvasToScreen(guide.from, guide.position);
+        const end = guide.axis === 'x'
+            ? canvasToScreen(guide.position, guide.to)
+            : canvasToScreen(guide.to, guide.position);
+
+        line.style.left = `${start.x}px`;
+        line.style.top = `${start.y}px`;
+        if (guide.axis === 'x') {
+            line.style.height = `${end.y - start.y}px`;
+        } else {
+            line.style.width = `${end.x - start.x}px`;
+        }
+        return line;
+    }));
+}
+
+/**
+ * Set up resize handlers for a note
+ */
+function setupResizeHandlers(noteData, resizeHandle) {
+    const note = noteData.element;
+    let isResizing = false;
+    let startX, startY, startWidth, startHeight;
+    let snapTargets = [];
+
+    const onMouseDown = (e) => {
+        if (isNoteReadOnly(noteData)) return;
+
+        isResizing = true;
+        startX = e.clientX;
+        startY = e.clientY;
+        startWidth = noteData.width;
+        startHeight = noteData.height;
+        snapTargets = getSnapTargets([noteData]);
+
+        note.classList.add('resizing');
+        e.preventDefault();
+        e.stopPropagation();
+    };
+
+    const onMouseMove = (e) => {
+        if (!isResizing) return;
+
+        const scale = app.canvas.ds.scale;
+        const dx = e.clientX - startX;
+        const dy = e.clientY - startY;
+
+        // Convert screen delta to canvas delta (since transform scale is applied)
+        const canvasDx = dx / scale;
+        const canvasDy = dy / scale;
+
+        // Snap the right and bottom edges unless Alt is held
+        let width = startWidth + canvasDx;
+        let height = startHeight + canvasDy;
+        const snapOptions = getSnapOptions(e);
+        if (snapOptions) {
+            const rect = { x: noteData.canvasX, y: noteData.canvasY, width, height };
+            const snapped = snapResize(rect, snapTargets, snapOptions);
+            ({ width, height } = snapped);
+            showAlignmentGuides(snapped.guides);
+        } else {
+            showAlignmentGuides([]);
+        }
+
+        // Calculate new canvas dimensions with minimum limits
+        const newWidth = Math.max(MIN_WIDTH, width);
+        const newHeight = Math.max(MIN_HEIGHT, height);
+
+        // Apply dimensions (transform handles the visual scaling)
+        note.style.width = `${newWidth}px`;
+        note.style.minHeight = `${newHeight}px`;
+
+        // Store canvas dimensions
+        noteData.width = newWidth;
+        noteData.height = newHeight;
+        updateConnectors();
+    };
+
+    const onMouseUp = () => {
+        if (!isResizing) return;
+
+        isResizing = false;
+        note.classList.remove('resizing');
+        snapTargets = [];
+        showAlignmentGuides([]);
+
+        if (noteData.width !== startWidth || noteData.height !== startHeight) {
+            recordNoteChange(
+                noteData.id,
+                { width: startWidth, height: startHeight },
+                { width: noteData.width, height: noteData.height }
+            );
+        }
+    };
+
+    resizeHandle.addEventListener('mousedown', onMouseDown);
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+
+    // Store cleanup function
+    const existingCleanup = noteData.cleanupHandlers;
+    noteData.cleanupHandlers = () => {
+        if (existingCleanup) existingCleanup();
+        document.removeEventListener('mousemove', onMouseMove);
+        document.removeEventListener('mouseup', onMouseUp);
+    };
+}
+
+/**
+ * Check whether an element is one of a note's header controls (buttons, color picker)
+ */
+function isNoteControl(el) {
+    return !!el.closest('button, .sticky-note-colors, .sticky-note-style-menu');
+}
+
+/**
+ * Set up event handlers for a specific note
+ */
+function setupNoteEventHandlers(noteData, header, content) {
+    const note = noteData.element;
+    const noteId = noteData.id;
+
+    // Click to select (Shift/Ctrl-click to add to the selection)
+    note.addEventListener('mousedown', (e) => {
+        // Don't interfere with header buttons or color dots
+        if (isNoteControl(e.target)) return;
+
+        handleNoteSelectionClick(noteId, e);
+        e.stopPropagation();
+    });
+
+    // Right-click for the note menu (the browser menu stays available while editing)
+    note.addEventListener('contextmenu', (e) => {
+        if (noteData.isEditing || isNoteControl(e.target)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        showNoteContextMenu(noteData, e);
+    });
+
+    // Click on a node reference chip to jump to the node, or on a task checkbox to toggle it
+    content.addEventListener('click', (e) => {
+        if (noteData.isEditing) return;
+
+        const checkbox = e.target.closest('input[data-task-line]');
+        if (checkbox) {
+            toggleTaskItem(noteData, Number(checkbox.dataset.taskLine));
+            e.stopPropagation();
+            return;
+        }
+
+        const chip = e.target.closest('.sticky-note-node-ref');
+        if (!chip || !chip.dataset.nodeRef) return;
+
+        navigateToNode(chip.dataset.nodeRef);
+        e.stopPropagation();
+    });
+
+    // Double-click on a collapsed note's title bar to expand it
+    header.addEventListener('dblclick', (e) => {
+        if (isNoteControl(e.target)) return;
+
+        if (noteData.collapsed) {
+            setNotesCollapsed([noteData], false);
+        } else if (noteData.behindNodes) {
+            // The content of a note behind nodes lets clicks through, so edit from the header
+            startEditing(noteData);
+        } else {
+            return;
+        }
+        e.stopPropagation();
+    });
+
+    // Double-click on content to edit
+    content.addEventListener('dblclick', (e) => {
+        if (e.target.closest('input[data-task-line]')) return;
+
+        startEditing(noteData);
+        e.stopPropagation();
+    });
+
+    // Handle Enter key to save (Shift+Enter for newline), or Ctrl+Enter if so configured
+    content.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && settings.saveKey === 'ctrl-enter') {
+            e.preventDefault();
+            if (e.ctrlKey || e.metaKey) {
+                stopEditing(noteData);
+            } else {
+                document.execCommand('insertLineBreak');
+            }
+        } else if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            stopEditing(noteData);
+        }
+        // Escape to cancel editing
+        if (e.key === 'Escape') {
+            stopEditing(noteData);
+        }
+    });
+
+    // Click outside content while editing stops editing
+    content.addEventListener('blur', () => {
+        // Small delay to allow for other interactions
+        setTimeout(() => {
+            if (noteData.isEditing) {
+                stopEditing(noteData);
+            }
+        }, 100);
+    });
+
+    // Drag handling - only on header (excluding buttons and color picker)
+    // Dragging a selected note moves the whole selection
+    let isDragging = false;
+    let startX, startY;
+    let dragStart = [];
+    let dragBounds = null;
+    let snapTargets = [];
+
+    header.addEventListener('mousedown', (e) => {
+        // Don't start drag on interactive elements
+        if (isNoteControl(e.target)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        // A modifier-click that deselects the note doesn't start a drag
+        if (!handleNoteSelectionClick(noteId, e)) return;
+
+        // Locked notes stay put when the rest of the selection is dragged
+        const movable = getSelectedNotes().filter(n => !isNoteReadOnly(n));
+        if (movable.length === 0) return;
+
+        isDragging = true;
+        startX = e.clientX;
+        startY = e.clientY;
+        dragStart = movable.map(n => ({
+            note: n,
+            x: n.canvasX,
+            y: n.canvasY,
+            attachedTo: n.attachedTo
+        }));
+
+        // The selection snaps as one block
+        dragBounds = getBoundingRect(movable.map(getNoteBounds));
+        snapTargets = getSnapTargets(movable);
+
+        for (const { note: dragged } of dragStart) {
+            dragged.element.classList.add('dragging');
+        }
+    });
+
+    // Use document-level handlers that reference this note's drag state
+    const onMouseMove = (e) => {
+        if (!isDragging) return;
+
+        // Convert screen delta to canvas delta
+        const scale = app.canvas.ds.scale;
+        let dx = (e.clientX - startX) / scale;
+        let dy = (e.clientY - startY) / scale;
+
+        // Snap to the grid and to other notes and nodes unless Alt is held
+        const snapOptions = getSnapOptions(e);
+        if (snapOptions) {
+            const rect = { ...dragBounds, x: dragBounds.x + dx, y: dragBounds.y + dy };
+            const snapped = snapMove(rect, snapTargets, snapOptions);
+            dx = snapped.x - dragBounds.x;
+            dy = snapped.y - dragBounds.y;
+            showAlignmentGuides(snapped.guides);
+        } else {
+            showAlignmentGuides([]);
+        }
+
+        for (const start of dragStart) {
+            start.note.canvasX = start.x + dx;
+            start.note.canvasY = start.y + dy;
+            updateAttachmentOffset(start.note);
+        }
+
+        updateAllNotePositions();
+    };
+
+    const onMouseUp = () => {
+        if (!isDragging) return;
+
+        isDragging = false;
+        snapTargets = [];
+        showAlignmentGuides([]);
+
+        const changes = [];
+        for (const start of dragStart) {
+            const moved = start.note;
+            moved.element.classList.remove('dragging');
+
+            if (moved.canvasX !== start.x || moved.canvasY !== start.y) {
+                changes.push({
+                    id: moved.id,
+                    before: { canvasX: start.x, canvasY: start.y, attachedTo: start.attachedTo },
+                    after: { canvasX: moved.canvasX, canvasY: moved.canvasY, attachedTo: moved.attachedTo }
+                });
+            }
+        }
+        dragStart = [];
+
+        if (changes.length > 0) {
+            recordNoteChanges(changes);
+        }
+    };
+
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+
+    // Store handlers for cleanup
+    noteData.cleanupHandlers = () => {
+        document.removeEventListener('mousemove', onMouseMove);
+        document.removeEventListener('mouseup', onMouseUp);
+    };
+}
+
+/**
+ * Remove a sticky note by ID
+ */
+function removeNote(noteId) {
+    const index = stickyNotes.findIndex(n => n.id === noteId);
+    if (index !== -1) {
+        const note = stickyNotes[index];
+
+        // Clean up event handlers
+        if (note.cleanupHandlers) {
+            note.cleanupHandlers();
+        }
+
+        noteResizeObserver?.unobserve(note.element);
+        note.element.remove();
+        stickyNotes.splice(index, 1);
+
+        // Clear selection if this was selected
+        selectedNoteIds.delete(noteId);
+        if (selectedConnector?.noteId === noteId) {
+            selectedConnector = null;
+        }
+
+        if (attachingNoteId === noteId) {
+            cancelAttachMode();
+        }
+
+        updateConnectors();
+        scheduleNoteListUpdate();
+        if (note.behindNodes || canvasRendering) {
+            redrawCanvasNotes();
+        }
+    }
+}
+
+/**
+ * Delete notes as a user action (recorded in undo history as one step)
+ * @param {number[]} noteIds - IDs of the notes to delete
+ */
+function deleteNotes(noteIds) {
+    // Locked notes (and every note in viewer mode) can't be deleted
+    const notes = stickyNotes.filter(n => noteIds.includes(n.id) && !isNoteReadOnly(n));
+    if (notes.length === 0) return;
+
+    for (const note of notes) {
+        if (note.isEditing) {
+            stopEditing(note);
+        }
+    }
+
+    const snapshots = notes.map(serializeNote);
+    for (const snapshot of snapshots) {
+        removeNote(snapshot.id);
+    }
+
+    pushHistory({
+        undo: () => snapshots.forEach(restoreNote),
+        redo: () => snapshots.forEach(snapshot => removeNote(snapshot.id))
+    });
+}
+
+/**
+ * Delete a single note as a user action
+ */
+function deleteNote(noteId) {
+    deleteNotes([noteId]);
+}
+
+/**
+ * Get ComfyUI's change tracker of the open workflow (null on older frontends)
+ * It saves the workflow after each change, notes included, and its undo loads
+ * the previous save, so one history covers notes and the graph.
+ */
+function getChangeTracker() {
+    const workflow = app.extensionManager?.workflow?.activeWorkflow ?? app.workflowManager?.activeWorkflow;
+    return typeof workflow?.changeTracker?.checkState === 'function' ? workflow.changeTracker : null;
+}
+
+/**
+ * Push an undoable command onto the history
+ * With a change tracker the change is recorded there instead, and undoing it
+ * reloads the workflow's notes (see hookGraphLoading).
+ * @param {{undo: Function, redo: Function}} command
+ */
+function pushHistory(command) {
+    const changeTracker = getChangeTracker();
+    if (changeTracker) {
+        changeTracker.checkState();
+        scheduleNoteListUpdate();
+        return;
+    }
+
+    undoStack.push(command);
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+    lastChangeSource = 'notes';
+    scheduleNoteListUpdate();
+}
+
+/**
+ * Undo the most recent note operation
+ * @returns {boolean} Whether anything was undone
+ */
+function undoNoteChange() {
+    const command = undoStack.pop();
+    if (!command) return false;
+
+    command.undo();
+    redoStack.push(command);
+    lastChangeSource = 'notes';
+    return true;
+}
+
+/**
+ * Redo the most recently undone note operation
+ * @returns {boolean} Whether anything was redone
+ */
+function redoNoteChange() {
+    const command = redoStack.pop();
+    if (!command) return false;
+
+    command.redo();
+    undoStack.push(command);
+    lastChangeSource = 'notes';
+    return true;
+}
+
+/**
+ * Drop all undo/redo history (note IDs don't survive a workflow load)
+ */
+function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    lastChangeSource = null;
+}
+
+/**
+ * Apply stored properties to a note and refresh its element
+ */
+function applyNoteState(noteData, state) {
+    Object.assign(noteData, state);
+
+    const el = noteData.element;
+    applyNoteColor(el, noteData.color);
+    applyTextStyle(noteData);
+    applyAttachmentState(noteData);
+    applyLockState(noteData);
+    applyCollapsedState(noteData);
+    applyHiddenState(noteData);
+    applyLayerState(noteData);
+    updateConnectors();
+    scheduleNoteListUpdate();
+
+    if (!noteData.isEditing) {
+        renderNoteContent(noteData);
+    }
+
+    updateAllNotePositions();
+}
+
+/**
+ * Record a property change on a note (move, resize, recolor, text edit)
+ * @param {number} noteId - Note ID
+ * @param {Object} before - Property values before the change
+ * @param {Object} after - Property values after the change
+ */
+function recordNoteChange(noteId, before, after) {
+    recordNoteChanges([{ id: noteId, before, after }]);
+}
+
+/**
+ * Record property changes on several notes as one undo step
+ * @param {Array<{id: number, before: Object, after: Object}>} changes
+ */
+function recordNoteChanges(changes) {
+    const apply = (key) => {
+        for (const change of changes) {
+            const note = stickyNotes.find(n => n.id === change.id);
+            if (note) applyNoteState(note, change[key]);
+        }
+    };
+
+    pushHistory({
+        undo: () => apply('before'),
+        redo: () => apply('after')
+    });
+}
+
+/**
+ * Record the creation of notes (new, pasted or duplicated) as one undo step
+ */
+function recordNotesCreated(notes) {
+    const snapshots = notes.map(serializeNote);
+
+    pushHistory({
+        undo: () => snapshots.forEach(snapshot => removeNote(snapshot.id)),
+        redo: () => snapshots.forEach(restoreNote)
+    });
+}
+
+// Track if the create key (T by default) is held down
+let isCreateKeyHeld = false;
+
+// Clipboard for copy/paste (notes with offsets relative to the copied group)
+let clipboardNotes = [];
+
+/**
+ * Copy the selected notes to clipboard
+ */
+function copySelectedNotes() {
+    const notes = getSelectedNotes();
+    if (notes.length === 0) return;
+
+    const minX = Math.min(...notes.map(n => n.canvasX));
+    const minY = Math.min(...notes.map(n => n.canvasY));
+
+    clipboardNotes = notes.map(note => ({
+        dx: note.canvasX - minX,
+        dy: note.canvasY - minY,
+        width: note.width,
+        height: note.height,
+        text: note.text,
+        color: note.color,
+        fontSize: note.fontSize,
+        fontFamily: note.fontFamily,
+        textAlign: note.textAlign,
+        behindNodes: note.behindNodes
+    }));
+}
+
+/**
+ * Paste notes from clipboard
+ */
+function pasteNotes() {
+    if (clipboardNotes.length === 0) return;
+
+    // Get current canvas center for paste position
+    const ds = app.canvas.ds;
+    const canvasRect = canvasEl.getBoundingClientRect();
+    const centerScreenX = canvasRect.width / 2;
+    const centerScreenY = canvasRect.height / 2;
+
+    // Convert to canvas coordinates
+    const canvasX = centerScreenX / ds.scale - ds.offset[0];
+    const canvasY = centerScreenY / ds.scale - ds.offset[1];
+
+    // Create new notes from clipboard data, keeping their relative layout
+    const created = clipboardNotes.map(clip => {
+        const x = canvasX + clip.dx;
+        const y = canvasY + clip.dy;
+
+        return createStickyNoteFromData({
+            canvasX: x,
+            canvasY: y,
+            width: clip.width,
+            height: clip.height,
+            text: clip.text,
+            color: clip.color,
+            fontSize: clip.fontSize,
+            fontFamily: clip.fontFamily,
+            textAlign: clip.textAlign,
+            behindNodes: clip.behindNodes,
+            createdAt: Date.now()
+        });
+    });
+
+    deselectAllNotes();
+    created.forEach(n => addNoteToSelection(n.id));
+    recordNotesCreated(created);
+}
+
+/**
+ * Duplicate the selected notes (copy + paste at offset)
+ */
+function duplicateSelectedNotes() {
+    const notes = getSelectedNotes();
+    if (notes.length === 0) return;
+
+    // Create new notes with offset
+    const offset = 20; // pixels offset in canvas coordinates
+
+    const created = notes.map(note => {
+        const canvasX = note.canvasX + offset;
+        const canvasY = note.canvasY + offset;
+
+        return createStickyNoteFromData({
+            canvasX: canvasX,
+            canvasY: canvasY,
+            width: note.width,
+            height: note.height,
+            text: note.text,
+            color: note.color,
+            fontSize: note.fontSize,
+            fontFamily: note.fontFamily,
+            textAlign: note.textAlign,
+            behindNodes: note.behindNodes,
+            createdAt: Date.now()
+        });
+    });
+
+    deselectAllNotes();
+    created.forEach(n => addNoteToSelection(n.id));
+    recordNotesCreated(created);
+}
+
+/**
+ * Find notes whose text contains the query (case-insensitive)
+ * @returns {Array<{note: Object, index: number}>} Matches with the position of the first hit
+ */
+function searchNotes(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    const results = [];
+    for (const note of stickyNotes.filter(n => !n.hidden)) {
+        const index = note.text.toLowerCase().indexOf(needle);
+        if (index !== -1) {
+            results.push({ note, index });
+        }
+    }
+    return results;
+}
+
+/**
+ * Build an HTML snippet around a match with the matched text highlighted
+ */
+function buildSearchSnippet(text, index, length) {
+    const context = 30;
+    const start = Math.max(0, index - context);
+    const end = Math.min(text.length, index + length + context);
+    const flat = (part) => escapeHtml(part.replace(/\s+/g, ' '));
+
+    return (start > 0 ? '&hellip;' : '') +
+        flat(text.slice(start, index)) +
+        `<mark>${flat(text.slice(index, index + length))}</mark>` +
+        flat(text.slice(index + length, end)) +
+        (end < text.length ? '&hellip;' : '');
+}
+
+/**
+ * Open the find-in-notes panel (Ctrl/Cmd + Shift + F)
+ */
+function openSearchPanel() {
+    if (searchPanel) {
+        searchPanel.querySelector('input').select();
+        return;
+    }
+
+    searchPanel = document.createElement('div');
+    searchPanel.className = 'sticky-notes-search';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Search notes...';
+
+    const list = document.createElement('div');
+    list.className = 'sticky-notes-search-results';
+
+    searchPanel.appendChild(input);
+    searchPanel.appendChild(list);
+    document.body.appendChild(searchPanel);
+
+    let results = [];
+    let activeIndex = 0;
+
+    const setActive = (index) => {
+        activeIndex = index;
+        list.querySelectorAll('.sticky-notes-search-result').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            if (i === index) item.scrollIntoView({ block: 'nearest' });
+        });
+    };
+
+    const pick = (index) => {
+        const result = results[index];
+        closeSearchPanel();
+        if (result) {
+            focusNote(result.note);
+        }
+    };
+
+    const render = () => {
+        results = searchNotes(input.value).slice(0, MAX_SEARCH_RESULTS);
+        list.innerHTML = '';
+
+        if (input.value.trim() && results.length === 0) {
+            list.innerHTML = '<div class="sticky-notes-search-empty">No matching notes</div>';
+            return;
+        }
+
+        results.forEach((result, i) => {
+            const item = document.createElement('div');
+            item.className = 'sticky-notes-search-result';
+            item.style.setProperty('--note-bg', getNoteColor(result.note.color).bg);
+            item.innerHTML = buildSearchSnippet(result.note.text, result.index, input.value.trim().length);
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                pick(i);
+            });
+            item.addEventListener('mousemove', () => {
+                if (activeIndex !== i) setActive(i);
+            });
+            list.appendChild(item);
+        });
+
+        setActive(0);
+    };
+
+    input.addEventListener('input', render);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+            setActive(Math.min(activeIndex + 1, results.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            setActive(Math.max(activeIndex - 1, 0));
+        } else if (e.key === 'Enter') {
+            pick(activeIndex);
+        } else if (e.key === 'Escape') {
+            closeSearchPanel();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    });
+    input.addEventListener('blur', closeSearchPanel);
+
+    input.focus();
+}
+
+/**
+ * Close the find-in-notes panel
+ */
+function closeSearchPanel() {
+    if (!searchPanel) return;
+
+    const panel = searchPanel;
+    searchPanel = null;
+    panel.remove();
+}
+
+/**
+ * Get a note's display title: its first heading, otherwise its first non-empty line
+ */
+function getNoteTitle(note) {
+    const lines = note.text.split('\n');
+    const line = lines.find(l => /^#{1,6}\s+\S/.test(l)) || lines.find(l => l.trim()) || '';
+
+    return line
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^#{1,6}\s+/, '')
+        .replace(/^\s*(?:[-*>]|\d+\.)\s+/, '')
+        .replace(/[*_`~]/g, '')
+        .trim() || 'Untitled';
+}
+
+/**
+ * Rename a note by rewriting its first heading (or first line) - recorded in undo history
+ */
+function renameNote(note, title) {
+    title = title.trim();
+    if (!title || title === getNoteTitle(note) || isNoteReadOnly(note)) return;
+
+    const lines = note.text.split('\n');
+    const headingIndex = lines.findIndex(l => /^#{1,6}\s+\S/.test(l));
+
+    if (headingIndex !== -1) {
+        lines[headingIndex] = lines[headingIndex].match(/^#{1,6}\s+/)[0] + title;
+    } else {
+        const lineIndex = lines.findIndex(l => l.trim());
+        lines[lineIndex === -1 ? 0 : lineIndex] = title;
+    }
+
+    const before = { text: note.text };
+    const after = { text: lines.join('\n') };
+    applyNoteState(note, after);
+    recordNoteChange(note.id, before, after);
+}
+
+/**
+ * Get the notes shown in the note list, filtered and sorted by the list's view state
+ */
+function getNoteListEntries() {
+    const notes = stickyNotes.filter(n => !noteListState.color || n.color === noteListState.color);
+
+    const comparators = {
+        'created-desc': (a, b) => b.createdAt - a.createdAt,
+        'created-asc': (a, b) => a.createdAt - b.createdAt,
+        'title': (a, b) => getNoteTitle(a).localeCompare(getNoteTitle(b)),
+        'position': (a, b) => a.canvasY - b.canvasY || a.canvasX - b.canvasX
+    };
+
+    return notes.sort(comparators[noteListState.sort] || comparators['created-desc']);
+}
+
+/**
+ * Re-render every open note list on the next frame
+ */
+function scheduleNoteListUpdate() {
+    if (noteListUpdateScheduled || noteListContainers.size === 0) return;
+
+    noteListUpdateScheduled = true;
+    requestAnimationFrame(() => {
+        noteListUpdateScheduled = false;
+        for (const container of noteListContainers) {
+            if (!container.isConnected) {
+                noteListContainers.delete(container);
+            } else if (!container.querySelector('.sticky-notes-list-rename')) {
+                // Don't throw away an inline rename in progress
+                renderNoteList(container);
+            }
+        }
+    });
+}
+
+/**
+ * Start renaming a note list entry inline
+ */
+function startRenamingEntry(titleEl, note) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'sticky-notes-list-rename';
+    input.value = getNoteTitle(note);
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        input.replaceWith(titleEl);
+        if (save) {
+            renameNote(note, input.value);
+        }
+        scheduleNoteListUpdate();
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+        e.stopPropagation();
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+
+    titleEl.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Render the note list (toolbar with sort and color filter, then one entry per note)
+ */
+function renderNoteList(container) {
+    container.innerHTML = '';
+    container.classList.add('sticky-notes-list');
+
+    // Toolbar: sort order and color filter
+    const toolbar = document.createElement('div');
+    toolbar.className = 'sticky-notes-list-toolbar';
+
+    const sortSelect = document.createElement('select');
+    for (const [value, label] of [
+        ['created-desc', 'Newest first'],
+        ['created-asc', 'Oldest first'],
+        ['title', 'Title'],
+        ['position', 'Position']
+    ]) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        sortSelect.appendChild(option);
+    }
+    sortSelect.value = noteListState.sort;
+    sortSelect.addEventListener('change', () => {
+        noteListState.sort = sortSelect.value;
+        renderNoteList(container);
+    });
+    toolbar.appendChild(sortSelect);
+
+    const filters = document.createElement('div');
+    filters.className = 'sticky-notes-list-filters';
+    for (const key of [...Object.keys(NOTE_COLORS), ...customPalette]) {
+        const color = getNoteColor(key);
+        const dot = document.createElement('button');
+        dot.className = 'color-dot';
+        dot.style.backgroundColor = color.bg;
+        dot.title = `Only ${color.name.toLowerCase()} notes`;
+        dot.classList.toggle('active', noteListState.color === key);
+        dot.addEventListener('click', () => {
+            noteListState.color = noteListState.color === key ? null : key;
+            renderNoteList(container);
+        });
+        filters.appendChild(dot);
+    }
+    toolbar.appendChild(filters);
+    container.appendChild(toolbar);
+
+    // Entries
+    const entries = getNoteListEntries();
+    const list = document.createElement('div');
+    list.className = 'sticky-notes-list-entries';
+
+    if (entries.length === 0) {
+        list.innerHTML = `<div class="sticky-notes-list-empty">${
+            stickyNotes.length === 0 ? 'No notes in this workflow' : 'No notes match the filter'
+        }</div>`;
+    }
+
+    for (const note of entries) {
+        const entry = document.createElement('div');
+        entry.className = 'sticky-notes-list-entry';
+        entry.classList.toggle('selected', selectedNoteIds.has(note.id));
+        entry.classList.toggle('hidden', !!note.hidden);
+        entry.style.setProperty('--note-bg', getNoteColor(note.color).bg);
+
+        const swatch = document.createElement('span');
+        swatch.className = 'sticky-notes-list-swatch';
+
+        const info = document.createElement('div');
+        info.className = 'sticky-notes-list-info';
+
+        const title = document.createElement('div');
+        title.className = 'sticky-notes-list-title';
+        title.textContent = getNoteTitle(note);
+        title.title = 'Double-click to rename';
+        title.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            startRenamingEntry(title, note);
+        });
+
+        const meta = document.createElement('div');
+        meta.className = 'sticky-notes-list-meta';
+        meta.textContent = new Date(note.createdAt).toLocaleString(undefined, {
+            dateStyle: 'short',
+            timeStyle: 'short'
+        });
+
+        info.appendChild(title);
+        info.appendChild(meta);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'sticky-note-close';
+        deleteBtn.innerHTML = '&times;';
+        deleteBtn.title = 'Delete note';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteNote(note.id);
+        });
+
+        const visibilityBtn = document.createElement('button');
+        visibilityBtn.className = 'sticky-notes-list-visibility';
+        visibilityBtn.innerHTML = note.hidden ? '&#128065;' : '&#9711;';
+        visibilityBtn.title = note.hidden ? 'Show note' : 'Hide note';
+        visibilityBtn.disabled = viewerMode;
+        visibilityBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setNotesHidden([note], !note.hidden);
+        });
+
+        entry.appendChild(swatch);
+        entry.appendChild(info);
+        entry.appendChild(visibilityBtn);
+        entry.appendChild(deleteBtn);
+        entry.addEventListener('click', () => {
+            // Hidden notes have nothing to show until they are shown again
+            if (!note.hidden) focusNote(note);
+        });
+
+        list.appendChild(entry);
+    }
+
+    container.appendChild(list);
+}
+
+/**
+ * Register the note list as a ComfyUI sidebar tab (newer frontends only)
+ */
+function registerNoteListSidebar() {
+    if (!app.extensionManager?.registerSidebarTab) return;
+
+    app.extensionManager.registerSidebarTab({
+        id: NOTE_LIST_SIDEBAR_ID,
+        icon: 'pi pi-bookmark',
+        title: 'Sticky Notes',
+        tooltip: 'Sticky Notes',
+        type: 'custom',
+        render: (el) => {
+            noteListContainers.add(el);
+            renderNoteList(el);
+        }
+    });
+}
+
+/**
+ * Toggle the floating note list panel (Ctrl/Cmd + Shift + L)
+ */
+function toggleNoteListPanel() {
+    if (noteListPanel) {
+        noteListPanel.remove();
+        noteListPanel = null;
+        return;
+    }
+
+    noteListPanel = document.createElement('div');
+    noteListPanel.className = 'sticky-notes-list-panel';
+
+    const header = document.createElement('div');
+    header.className = 'sticky-notes-list-panel-header';
+    header.textContent = 'Sticky Notes';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'sticky-note-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.addEventListener('click', toggleNoteListPanel);
+    header.appendChild(closeBtn);
+
+    const body = document.createElement('div');
+    noteListPanel.appendChild(header);
+    noteListPanel.appendChild(body);
+    document.body.appendChild(noteListPanel);
+
+    noteListContainers.add(body);
+    renderNoteList(body);
+}
+
+/**
+ * Check whether a key event matches a shortcut like "Ctrl+Shift+D"
+ * Ctrl also matches Cmd on macOS. Several shortcuts can be given separated
+ * by commas ("Delete, Backspace"). Modifiers must match exactly.
+ */
+function matchesShortcut(e, shortcut) {
+    if (!shortcut) return false;
+
+    return shortcut.split(',').some(combo => {
+        const parts = combo.split('+').map(part => part.trim().toLowerCase()).filter(Boolean);
+        const key = parts.pop();
+        if (!key) return false;
+
+        const wantsCtrl = parts.includes('ctrl') || parts.includes('cmd') || parts.includes('meta');
+        return wantsCtrl === (e.ctrlKey || e.metaKey) &&
+            parts.includes('shift') === e.shiftKey &&
+            parts.includes('alt') === e.altKey &&
+            (e.key.toLowerCase() === key || (key === 'space' && e.key === ' '));
+    });
+}
+
+/**
+ * Check whether a key event is the configured create key (without modifiers)
+ */
+function isCreateKey(e) {
+    const key = settings.createKey.trim().toLowerCase();
+    return key !== '' && e.key.toLowerCase() === key && !e.ctrlKey && !e.metaKey && !e.altKey;
+}
+
+/**
+ * Load the template library: user data file, then the localStorage copy, then the defaults
+ */
+async function loadTemplates() {
+    if (noteTemplates) return noteTemplates;
+
+    try {
+        const response = await api.getUserData(TEMPLATES_FILE);
+        if (response.ok) {
+            const templates = await response.json();
+            if (Array.isArray(templates)) {
+                noteTemplates = templates;
+                return noteTemplates;
+            }
+        }
+    } catch (error) {
+        console.warn('[Sticky Notes] Could not load templates from user data, using the local copy:', error);
+    }
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(TEMPLATES_STORAGE_KEY) || 'null');
+        noteTemplates = Array.isArray(saved) ? saved : DEFAULT_TEMPLATES.map(t => ({ ...t }));
+    } catch (error) {
+        noteTemplates = DEFAULT_TEMPLATES.map(t => ({ ...t }));
+    }
+    return noteTemplates;
+}
+
+/**
+ * Save the template library to the user data directory and localStorage
+ */
+async function saveTemplates(templates) {
+    noteTemplates = templates;
+
+    try {
+        localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+    } catch (error) {
+        // Storage can be full or disabled; the user data copy is the main one
+    }
+
+    try {
+        await api.storeUserData(TEMPLATES_FILE, templates, { overwrite: true, stringify: true });
+    } catch (error) {
+        console.warn('[Sticky Notes] Could not save templates to user data, kept a local copy:', error);
+    }
+}
+
+/**
+ * Ask for a template name and save a note (text, color, size and text style) as a template
+ */
+async function saveNoteAsTemplate(note) {
+    const name = (await promptForText('Template name', getNoteTitle(note)))?.trim();
+    if (!name) return;
+
+    const template = {
+        name,
+        text: note.text,
+        color: note.color,
+        width: note.width,
+        height: note.height,
+        fontSize: note.fontSize,
+        fontFamily: note.fontFamily,
+        textAlign: note.textAlign
+    };
+
+    const templates = await loadTemplates();
+    // A template with the same name is replaced
+    await saveTemplates([...templates.filter(t => t.name !== name), template]);
+}
+
+/**
+ * Delete a template by name
+ */
+async function deleteTemplate(name) {
+    const templates = await loadTemplates();
+    await saveTemplates(templates.filter(t => t.name !== name));
+}
 
 /**
- * Copy the selected note to clipboard
+ * Create a note from a template at a canvas position
  */
-function copySelectedNote() {
-    const note = getSelectedNote();
-    if (!note) return;
+function createNoteFromTemplate(template, canvasX, canvasY) {
+    if (viewerMode) return null;
+
+    const noteData = createStickyNoteFromData({
+        ...textStyleFromSaved(template),
+        canvasX,
+        canvasY,
+        width: Math.max(MIN_WIDTH, template.width || settings.defaultWidth),
+        height: Math.max(MIN_HEIGHT, template.height || settings.defaultHeight),
+        text: template.text ?? '',
+        color: isValidNoteColor(template.color) ? template.color : settings.defaultColor,
+        createdAt: Date.now()
+    });
 
-    clipboardNote = {
-        width: note.width,
-        height: note.height,
-        text: note.text,
-        color: note.color
-    };
+    selectNote(noteData.id);
+    recordNotesCreated([noteData]);
+    return noteData;
 }
 
 /**
- * Paste note from clipboard
+ * Open the template picker at a canvas position; picking a template creates a note there
  */
-function pasteNote() {
-    if (!clipboardNote) return;
+async function openTemplatePicker(canvasX, canvasY) {
+    closeTemplatePicker();
+    // Notes can't be created in viewer mode or while they are hidden
+    if (viewerMode || !settings.showNotes) return;
+    const templates = await loadTemplates();
+
+    const panel = document.createElement('div');
+    panel.className = 'sticky-notes-search sticky-notes-template-picker';
+    templatePicker = panel;
+
+    // Open at the position, kept inside the window
+    const rect = overlay.getBoundingClientRect();
+    const screenPos = canvasToScreen(canvasX, canvasY);
+    panel.style.left = `${Math.min(rect.left + screenPos.x, window.innerWidth - 340)}px`;
+    panel.style.top = `${Math.min(rect.top + screenPos.y, window.innerHeight - 280)}px`;
 
-    // Get current canvas center for paste position
-    const ds = app.canvas.ds;
-    const canvasRect = canvasEl.getBoundingClientRect();
-    const centerScreenX = canvasRect.width / 2;
-    const centerScreenY = canvasRect.height / 2;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'New note from template...';
 
-    // Convert to canvas coordinates
-    const canvasX = centerScreenX / ds.scale - ds.offset[0];
-    const canvasY = centerScreenY / ds.scale - ds.offset[1];
+    const list = document.createElement('div');
+    list.className = 'sticky-notes-search-results';
 
-    // Convert back to screen for placement
-    const screenPos = canvasToScreen(canvasX, canvasY);
+    panel.appendChild(input);
+    panel.appendChild(list);
+    document.body.appendChild(panel);
 
-    // Create new note from clipboard data
-    const noteId = ++noteIdCounter;
+    let matches = [];
+    let activeIndex = 0;
 
-    const note = document.createElement('div');
-    note.className = 'sticky-note';
-    note.dataset.noteId = noteId;
+    const setActive = (index) => {
+        activeIndex = index;
+        list.querySelectorAll('.sticky-notes-search-result').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            if (i === index) item.scrollIntoView({ block: 'nearest' });
+        });
+    };
 
-    const header = document.createElement('div');
-    header.className = 'sticky-note-header';
+    const pick = (index) => {
+        const template = matches[index];
+        closeTemplatePicker();
+        if (template) {
+            createNoteFromTemplate(template, canvasX, canvasY);
+        }
+    };
 
-    const dragHandle = document.createElement('div');
-    dragHandle.className = 'sticky-note-drag-handle';
+    const render = () => {
+        const query = input.value.trim().toLowerCase();
+        matches = noteTemplates.filter(t => t.name.toLowerCase().includes(query));
+        list.innerHTML = '';
 
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'sticky-note-close';
-    closeBtn.innerHTML = '&times;';
-    closeBtn.addEventListener('click', (e) => {
+        if (matches.length === 0) {
+            list.innerHTML = `<div class="sticky-notes-search-empty">${noteTemplates.length === 0
+                ? 'No templates yet - right-click a note to save it as one'
+                : 'No matching templates'}</div>`;
+            return;
+        }
+
+        matches.forEach((template, i) => {
+            const item = document.createElement('div');
+            item.className = 'sticky-notes-search-result';
+            item.style.setProperty('--note-bg', getNoteColor(template.color).bg);
+            item.textContent = template.name;
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                pick(i);
+            });
+            item.addEventListener('mousemove', () => {
+                if (activeIndex !== i) setActive(i);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'sticky-notes-template-delete';
+            deleteBtn.innerHTML = '&times;';
+            deleteBtn.title = 'Delete template';
+            deleteBtn.addEventListener('mousedown', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                await deleteTemplate(template.name);
+                render();
+            });
+            item.appendChild(deleteBtn);
+
+            list.appendChild(item);
+        });
+
+        setActive(Math.min(activeIndex, matches.length - 1));
+    };
+
+    input.addEventListener('input', () => {
+        activeIndex = 0;
+        render();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+            setActive(Math.min(activeIndex + 1, matches.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            setActive(Math.max(activeIndex - 1, 0));
+        } else if (e.key === 'Enter') {
+            pick(activeIndex);
+        } else if (e.key === 'Escape') {
+            closeTemplatePicker();
+        } else {
+            return;
+        }
+        e.preventDefault();
         e.stopPropagation();
-        removeNote(noteId);
     });
+    input.addEventListener('blur', closeTemplatePicker);
 
-    header.appendChild(dragHandle);
-    header.appendChild(closeBtn);
+    render();
+    input.focus();
+}
 
-    const content = document.createElement('div');
-    content.className = 'sticky-note-content';
-    content.contentEditable = 'false';
-    content.textContent = clipboardNote.text;
+/**
+ * Close the template picker
+ */
+function closeTemplatePicker() {
+    if (!templatePicker) return;
 
-    const resizeHandle = document.createElement('div');
-    resizeHandle.className = 'sticky-note-resize';
+    const panel = templatePicker;
+    templatePicker = null;
+    panel.remove();
+}
 
-    note.appendChild(header);
-    note.appendChild(content);
-    note.appendChild(resizeHandle);
+/**
+ * Get the canvas position of the mouse (last known by LiteGraph), or the view center
+ */
+function getCursorCanvasPosition() {
+    const mouse = app.canvas.graph_mouse;
+    if (mouse) return { x: mouse[0], y: mouse[1] };
 
-    // Position and size
-    const scale = ds.scale;
-    note.style.left = `${screenPos.x}px`;
-    note.style.top = `${screenPos.y}px`;
-    note.style.width = `${clipboardNote.width}px`;
-    note.style.minHeight = `${clipboardNote.height}px`;
-    note.style.transform = `scale(${scale})`;
-    note.style.transformOrigin = 'top left';
+    const rect = canvasEl.getBoundingClientRect();
+    return screenToCanvas(rect.width / 2, rect.height / 2);
+}
 
-    const noteData = {
-        id: noteId,
-        element: note,
-        canvasX: canvasX,
-        canvasY: canvasY,
-        width: clipboardNote.width,
-        height: clipboardNote.height,
-        text: clipboardNote.text,
-        color: clipboardNote.color,
-        createdAt: Date.now(),
-        isEditing: false
+/**
+ * Add sticky note entries to LiteGraph's canvas context menu
+ */
+function hookCanvasMenu() {
+    const originalGetCanvasMenuOptions = LGraphCanvas.prototype.getCanvasMenuOptions;
+    LGraphCanvas.prototype.getCanvasMenuOptions = function() {
+        const options = originalGetCanvasMenuOptions.apply(this, arguments);
+        if (!settings.showNotes || viewerMode) return options;
+
+        // The menu opens at the cursor, which is where the note goes
+        const { x, y } = getCursorCanvasPosition();
+        options.push(
+            null,
+            {
+                content: 'Add Sticky Note',
+                callback: () => {
+                    const screenPos = canvasToScreen(x, y);
+                    createStickyNote(screenPos.x, screenPos.y);
+                }
+            },
+            {
+                content: 'Add Sticky Note from Template...',
+                callback: () => openTemplatePicker(x, y)
+            }
+        );
+        return options;
     };
-    stickyNotes.push(noteData);
-
-    const colorPicker = createColorPicker(noteData);
-    header.insertBefore(colorPicker, closeBtn);
+}
 
-    applyNoteColor(note, clipboardNote.color);
-    setupNoteEventHandlers(noteData, header, content);
-    setupResizeHandlers(noteData, resizeHandle);
+/**
+ * Show the context menu of a note
+ */
+function showNoteContextMenu(noteData, e) {
+    const readOnly = isNoteReadOnly(noteData);
+    new LiteGraph.ContextMenu([
+        { content: 'Save as Template...', callback: () => saveNoteAsTemplate(noteData) },
+        { content: noteData.locked ? 'Unlock' : 'Lock', disabled: viewerMode, callback: () => toggleNoteLock(noteData) },
+        null,
+        { content: 'Bring to Front', disabled: readOnly, callback: () => reorderNotes(getLayerTargets(noteData), 'front') },
+        { content: 'Bring Forward', disabled: readOnly, callback: () => reorderNotes(getLayerTargets(noteData), 'forward') },
+        { content: 'Send Backward', disabled: readOnly, callback: () => reorderNotes(getLayerTargets(noteData), 'backward') },
+        { content: 'Send to Back', disabled: readOnly, callback: () => reorderNotes(getLayerTargets(noteData), 'back') },
+        {
+            content: 'Arrange',
+            has_submenu: true,
+            submenu: {
+                options: ARRANGE_ACTIONS.map(action => ({
+                    content: action.label,
+                    disabled: getLayerTargets(noteData).length < action.minNotes,
+                    callback: () => arrangeNotes(action, getLayerTargets(noteData))
+                }))
+            }
+        },
+        {
+            content: noteData.behindNodes ? 'Show Above Nodes' : 'Show Behind Nodes',
+            disabled: readOnly,
+            callback: () => setNotesBehindNodes(getLayerTargets(noteData), !noteData.behindNodes)
+        },
+        { content: 'Hide', disabled: viewerMode, callback: () => setNotesHidden(getLayerTargets(noteData), true) },
+        null,
+        { content: 'Delete', disabled: readOnly, callback: () => deleteNote(noteData.id) }
+    ], { event: e, title: getNoteTitle(noteData) });
+}
 
-    overlay.appendChild(note);
-    renderNoteContent(noteData);
-    selectNote(noteId);
+/**
+ * Ask for a line of text (ComfyUI's dialog when available, otherwise the browser prompt)
+ * @returns {Promise<string|null>} The entered text, or null when cancelled
+ */
+async function promptForText(title, defaultValue = '') {
+    const dialog = app.extensionManager?.dialog;
+    if (dialog?.prompt) {
+        return dialog.prompt({ title, message: title, defaultValue });
+    }
+    return prompt(title, defaultValue);
 }
 
 /**
- * Duplicate the selected note (copy + paste at offset)
+ * Show an error as a ComfyUI toast (or an alert on frontends without toasts)
  */
-function duplicateSelectedNote() {
-    const note = getSelectedNote();
-    if (!note) return;
+function showErrorMessage(summary, detail) {
+    const toast = app.extensionManager?.toast;
+    if (toast?.add) {
+        toast.add({ severity: 'error', summary, detail, life: 5000 });
+    } else {
+        alert(`${summary}: ${detail}`);
+    }
+}
 
-    // Create new note with offset
-    const offset = 20; // pixels offset in canvas coordinates
-    const ds = app.canvas.ds;
+/**
+ * Get a file name for exports from the open workflow
+ */
+function getExportFileName() {
+    return `${getWorkflowName()}-sticky-notes`;
+}
 
-    const canvasX = note.canvasX + offset;
-    const canvasY = note.canvasY + offset;
-    const screenPos = canvasToScreen(canvasX, canvasY);
+/**
+ * Get the name of the open workflow (or "workflow" when it has none)
+ */
+function getWorkflowName() {
+    const workflow = app.extensionManager?.workflow?.activeWorkflow;
+    const name = workflow?.filename || workflow?.path?.split('/').pop()?.replace(/\.json$/i, '');
+    return name || 'workflow';
+}
 
-    const noteId = ++noteIdCounter;
+/**
+ * Let the browser download a file
+ */
+function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
 
-    const newNote = document.createElement('div');
-    newNote.className = 'sticky-note';
-    newNote.dataset.noteId = noteId;
+/**
+ * Download every note of the workflow as a Markdown, JSON or CSV file
+ * @param {'markdown'|'json'|'csv'} format
+ */
+function exportNotes(format) {
+    const notes = serializeNotes();
+    const fileName = getExportFileName();
+    const files = {
+        markdown: { content: () => exportNotesAsMarkdown(notes, fileName), extension: 'md', type: 'text/markdown' },
+        json: { content: () => exportNotesAsJson(notes), extension: 'json', type: 'application/json' },
+        csv: { content: () => exportNotesAsCsv(notes), extension: 'csv', type: 'text/csv' }
+    };
+    const file = files[format];
 
-    const header = document.createElement('div');
-    header.className = 'sticky-note-header';
+    downloadFile(new Blob([file.content()], { type: file.type }), `${fileName}.${file.extension}`);
+}
 
-    const dragHandle = document.createElement('div');
-    dragHandle.className = 'sticky-note-drag-handle';
+/**
+ * Download the whole workflow as a PNG image with the notes drawn in
+ * The workflow is embedded like in ComfyUI's own images, so dropping the image
+ * onto ComfyUI loads it again, notes included.
+ */
+async function exportWorkflowImage() {
+    const canvas = app.canvas;
+    const rects = [
+        ...(app.graph?._nodes || []).map(getNodeBounds),
+        ...(app.graph?._groups || []).map(g => ({ x: g.pos[0], y: g.pos[1], width: g.size[0], height: g.size[1] })),
+        ...(settings.showNotes ? stickyNotes.filter(n => !n.hidden).map(getNoteBounds) : [])
+    ];
+    if (rects.length === 0) {
+        showErrorMessage('Could not export the workflow image', 'The workflow is empty');
+        return;
+    }
 
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'sticky-note-close';
-    closeBtn.innerHTML = '&times;';
-    closeBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        removeNote(noteId);
-    });
+    // Fit the whole graph at 100% zoom, or smaller when it would be too large
+    const bounds = getBoundingRect(rects);
+    const scale = Math.min(1, MAX_EXPORT_IMAGE_SIZE / (Math.max(bounds.width, bounds.height) + EXPORT_IMAGE_PADDING * 2));
+    const image = document.createElement('canvas');
+    image.width = Math.ceil((bounds.width + EXPORT_IMAGE_PADDING * 2) * scale);
+    image.height = Math.ceil((bounds.height + EXPORT_IMAGE_PADDING * 2) * scale);
+
+    // Draw through a second LiteGraph canvas on the image, so the canvas on screen
+    // (its size, device pixel ratio scaling and view) is left alone
+    const exportCanvas = new LGraphCanvas(image, app.graph, { skip_events: true, skip_render: true });
+    for (const option of EXPORT_CANVAS_OPTIONS) {
+        if (option in canvas) {
+            exportCanvas[option] = canvas[option];
+        }
+    }
+    // The drawing hooks draw the notes (and whatever other extensions draw)
+    exportCanvas.onDrawBackground = canvas.onDrawBackground;
+    exportCanvas.onDrawForeground = canvas.onDrawForeground;
+    exportCanvas.ds.scale = scale;
+    exportCanvas.ds.offset = [EXPORT_IMAGE_PADDING - bounds.x, EXPORT_IMAGE_PADDING - bounds.y];
+
+    exportingImage = true;
+    try {
+        exportCanvas.draw(true, true);
+    } finally {
+        exportingImage = false;
+        app.graph.detachCanvas?.(exportCanvas);
+    }
 
-    header.appendChild(dragHandle);
-    header.appendChild(closeBtn);
+    try {
+        const blob = await new Promise(resolve => image.toBlob(resolve, 'image/png'));
+        const png = addPngTextChunks(new Uint8Array(await blob.arrayBuffer()), {
+            workflow: toAsciiJson(app.graph.serialize())
+        });
+        downloadFile(new Blob([png], { type: 'image/png' }), `${getWorkflowName()}.png`);
+    } catch (error) {
+        console.error('[Sticky Notes] Failed to export the workflow image:', error);
+        showErrorMessage('Could not export the workflow image', error.message);
+    }
+}
 
-    const content = document.createElement('div');
-    content.className = 'sticky-note-content';
-    content.contentEditable = 'false';
-    content.textContent = note.text;
+/**
+ * Drop what ties imported note data to the workflow it was exported from
+ * Node IDs mean nothing in another workflow, so only connectors between the
+ * imported notes are kept (createNotesFromSaved remaps them).
+ */
+function detachImportedNote(data) {
+    return {
+        ...data,
+        attachedTo: null,
+        orphaned: false,
+        connectors: Array.isArray(data?.connectors)
+            ? data.connectors.filter(connector => connector?.target?.type === 'note')
+            : []
+    };
+}
 
-    const resizeHandle = document.createElement('div');
-    resizeHandle.className = 'sticky-note-resize';
+/**
+ * Ask for an exported Markdown, JSON or CSV file and add its notes to the workflow
+ */
+function importNotesFromFile() {
+    if (viewerMode) return;
 
-    newNote.appendChild(header);
-    newNote.appendChild(content);
-    newNote.appendChild(resizeHandle);
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.md,.markdown,.json,.csv';
 
-    const scale = ds.scale;
-    newNote.style.left = `${screenPos.x}px`;
-    newNote.style.top = `${screenPos.y}px`;
-    newNote.style.width = `${note.width}px`;
-    newNote.style.minHeight = `${note.height}px`;
-    newNote.style.transform = `scale(${scale})`;
-    newNote.style.transformOrigin = 'top left';
+    input.addEventListener('change', async () => {
+        const file = input.files?.[0];
+        if (!file) return;
 
-    const noteData = {
-        id: noteId,
-        element: newNote,
-        canvasX: canvasX,
-        canvasY: canvasY,
-        width: note.width,
-        height: note.height,
-        text: note.text,
-        color: note.color,
-        createdAt: Date.now(),
-        isEditing: false
-    };
-    stickyNotes.push(noteData);
+        let notesData;
+        try {
+            notesData = importNotes(await file.text(), file.name);
+        } catch (error) {
+            console.error('[Sticky Notes] Failed to import notes:', error);
+            showErrorMessage(`Could not import sticky notes from ${file.name}`, error.message);
+            return;
+        }
+        // The workflow may have switched to viewer mode while the file was read
+        if (viewerMode) return;
 
-    const colorPicker = createColorPicker(noteData);
-    header.insertBefore(colorPicker, closeBtn);
+        const { created, skipped } = createNotesFromSaved(notesData.map(detachImportedNote));
+        if (skipped.length > 0) {
+            console.warn(`[Sticky Notes] Skipped ${skipped.length} imported note(s) without a position`);
+        }
+        if (created.length === 0) return;
 
-    applyNoteColor(newNote, note.color);
-    setupNoteEventHandlers(noteData, header, content);
-    setupResizeHandlers(noteData, resizeHandle);
+        focusNote(created[0]);
+        created.forEach(n => addNoteToSelection(n.id));
+        recordNotesCreated(created);
+    });
 
-    overlay.appendChild(newNote);
-    renderNoteContent(noteData);
-    selectNote(noteId);
+    input.click();
 }
 
 /**
@@ -1014,44 +4614,96 @@ function setupKeyboardListeners() {
             activeEl.contentEditable === 'true'
         );
 
-        // T key for creating notes
-        if ((e.key === 't' || e.key === 'T') && !isTyping) {
-            isTKeyHeld = true;
+        // Hidden notes can't be created or edited
+        if (!settings.showNotes) return;
+
+        // Create key (T by default) for creating notes
+        if (isCreateKey(e) && !isTyping && !viewerMode) {
+            isCreateKeyHeld = true;
         }
 
         // Copy: Ctrl/Cmd + C
-        if ((e.ctrlKey || e.metaKey) && e.key === 'c' && !isTyping && selectedNoteId !== null) {
-            copySelectedNote();
+        if (matchesShortcut(e, settings.copyShortcut) && !isTyping && selectedNoteIds.size > 0) {
+            copySelectedNotes();
             e.preventDefault();
             e.stopPropagation();
         }
 
         // Paste: Ctrl/Cmd + V
-        if ((e.ctrlKey || e.metaKey) && e.key === 'v' && !isTyping && clipboardNote !== null) {
-            pasteNote();
+        if (matchesShortcut(e, settings.pasteShortcut) && !isTyping && clipboardNotes.length > 0 && !viewerMode) {
+            pasteNotes();
             e.preventDefault();
             e.stopPropagation();
         }
 
         // Duplicate: Ctrl/Cmd + D
-        if ((e.ctrlKey || e.metaKey) && e.key === 'd' && !isTyping && selectedNoteId !== null) {
-            duplicateSelectedNote();
+        if (matchesShortcut(e, settings.duplicateShortcut) && !isTyping && selectedNoteIds.size > 0 && !viewerMode) {
+            duplicateSelectedNotes();
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        // Find in notes: Ctrl/Cmd + Shift + F
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'f' && !isTyping) {
+            openSearchPanel();
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        // Note list panel: Ctrl/Cmd + Shift + L
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'l' && !isTyping) {
+            toggleNoteListPanel();
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        // Undo: Ctrl/Cmd + Z, Redo: Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y
+        // Only when a note was the last thing changed, so graph undo keeps working
+        // (ComfyUI's change tracker, when there is one, undoes notes itself)
+        if ((e.ctrlKey || e.metaKey) && !isTyping && lastChangeSource === 'notes') {
+            const key = e.key.toLowerCase();
+            let handled = false;
+
+            if (key === 'z' && !e.shiftKey) {
+                handled = undoNoteChange();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                handled = redoNoteChange();
+            }
+
+            if (handled) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }
+
+        // While a note is being edited the browser undoes the typing; ComfyUI's undo
+        // would reload the workflow and throw the unsaved text away
+        if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase()) &&
+            stickyNotes.some(n => n.isEditing)) {
+            e.stopPropagation();
+        }
+
+        // Delete or Backspace key to delete the selected connector
+        if (matchesShortcut(e, settings.deleteShortcut) && !isTyping && selectedConnector !== null) {
+            deleteSelectedConnector();
             e.preventDefault();
             e.stopPropagation();
         }
 
-        // Delete or Backspace key to delete selected note
-        if ((e.key === 'Delete' || e.key === 'Backspace') && !isTyping && selectedNoteId !== null) {
-            removeNote(selectedNoteId);
+        // Delete or Backspace key to delete selected notes
+        if (matchesShortcut(e, settings.deleteShortcut) && !isTyping && selectedNoteIds.size > 0) {
+            deleteNotes([...selectedNoteIds]);
             e.preventDefault();
             e.stopPropagation();
         }
 
         // Escape to deselect
         if (e.key === 'Escape') {
-            const selectedNote = getSelectedNote();
-            if (selectedNote && selectedNote.isEditing) {
-                stopEditing(selectedNote);
+            const editingNote = stickyNotes.find(n => n.isEditing);
+            if (attachingNoteId !== null) {
+                cancelAttachMode();
+            } else if (editingNote) {
+                stopEditing(editingNote);
             } else {
                 deselectAllNotes();
             }
@@ -1059,8 +4711,8 @@ function setupKeyboardListeners() {
     };
 
     globalKeyUpHandler = (e) => {
-        if (e.key === 't' || e.key === 'T') {
-            isTKeyHeld = false;
+        if (isCreateKey(e)) {
+            isCreateKeyHeld = false;
         }
     };
 
@@ -1070,18 +4722,18 @@ function setupKeyboardListeners() {
 
     // Reset on window blur
     window.addEventListener('blur', () => {
-        isTKeyHeld = false;
+        isCreateKeyHeld = false;
     });
 }
 
 /**
  * Set up click listener on the canvas
- * T + Click creates a new sticky note
+ * Create key (T by default) + Click creates a new sticky note
  */
 function setupClickListener(canvas) {
     canvas.addEventListener('click', (e) => {
-        // Check if T key is held
-        if (isTKeyHeld) {
+        // Check if the create key is held
+        if (isCreateKeyHeld) {
             // Create note at click position relative to overlay
             const rect = overlay.getBoundingClientRect();
             const x = e.clientX - rect.left;
@@ -1093,33 +4745,273 @@ function setupClickListener(canvas) {
     });
 }
 
-// Canvas tracking state
-let lastOffset = [0, 0];
-let lastScale = 1;
-let rafId = null;
+/**
+ * Set up the click that completes attach mode
+ * The window's capture listeners run before any listener on the canvas itself,
+ * whenever those were registered, so LiteGraph never sees the click.
+ */
+function setupAttachListener(canvas) {
+    // Preventing pointerdown also suppresses the mousedown that would follow
+    window.addEventListener('pointerdown', (e) => {
+        if (attachingNoteId === null || e.target !== canvas) return;
+
+        const note = stickyNotes.find(n => n.id === attachingNoteId);
+        const rect = overlay.getBoundingClientRect();
+        const canvasPos = screenToCanvas(e.clientX - rect.left, e.clientY - rect.top);
+        const node = app.graph?.getNodeOnPos(canvasPos.x, canvasPos.y);
+
+        if (note && node) {
+            attachNoteToNode(note, node);
+        }
+        cancelAttachMode();
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    }, true);
+}
+
+/**
+ * Set up rubber-band selection of notes on the canvas
+ * Ctrl/Cmd + drag on empty canvas (LiteGraph's own box-select gesture) also
+ * selects the notes inside the box; Shift adds to the current selection.
+ * A plain click on empty canvas deselects all notes.
+ * Pointer events are watched from the window's capture phase like the attach click
+ * (see setupAttachListener): LiteGraph handles pointer events on the canvas and its
+ * preventDefault suppresses the mouse events that would follow.
+ */
+function setupMarqueeSelection(canvas) {
+    let marquee = null;
+    let startX, startY, endX, endY;
+    let additive = false;
+
+    window.addEventListener('pointerdown', (e) => {
+        if (e.target !== canvas || e.button !== 0 || isCreateKeyHeld) return;
+
+        if (!e.ctrlKey && !e.metaKey) {
+            if (!e.shiftKey) {
+                deselectAllNotes();
+            }
+            return;
+        }
+
+        const rect = overlay.getBoundingClientRect();
+        startX = endX = e.clientX - rect.left;
+        startY = endY = e.clientY - rect.top;
+
+        // Leave clicks on nodes to LiteGraph
+        const canvasPos = screenToCanvas(startX, startY);
+        if (app.graph?.getNodeOnPos?.(canvasPos.x, canvasPos.y)) return;
+
+        additive = e.shiftKey;
+        marquee = document.createElement('div');
+        marquee.className = 'sticky-notes-marquee';
+        overlay.appendChild(marquee);
+        updateMarquee();
+    }, true);
+
+    const updateMarquee = () => {
+        marquee.style.left = `${Math.min(startX, endX)}px`;
+        marquee.style.top = `${Math.min(startY, endY)}px`;
+        marquee.style.width = `${Math.abs(endX - startX)}px`;
+        marquee.style.height = `${Math.abs(endY - startY)}px`;
+    };
+
+    window.addEventListener('pointermove', (e) => {
+        if (!marquee) return;
+
+        const rect = overlay.getBoundingClientRect();
+        endX = e.clientX - rect.left;
+        endY = e.clientY - rect.top;
+        updateMarquee();
+    }, true);
+
+    window.addEventListener('pointerup', () => {
+        if (!marquee) return;
+
+        marquee.remove();
+        marquee = null;
+
+        // Select every note that intersects the box (in canvas coordinates)
+        const a = screenToCanvas(Math.min(startX, endX), Math.min(startY, endY));
+        const b = screenToCanvas(Math.max(startX, endX), Math.max(startY, endY));
+
+        if (!additive) {
+            deselectAllNotes();
+        }
+
+        for (const note of stickyNotes) {
+            const bounds = getNoteBounds(note);
+            const intersects = bounds.x < b.x && bounds.x + bounds.width > a.x &&
+                bounds.y < b.y && bounds.y + bounds.height > a.y;
+            if (intersects) {
+                addNoteToSelection(note.id);
+            }
+        }
+    }, true);
+}
+
+// Canvas transform the notes were last positioned for (no scale until the first sync)
+const lastView = { offset: [0, 0], scale: null };
+
+// Watches the overlay and the notes for size changes (see setupResizeTracking)
+let noteResizeObserver = null;
 
 /**
- * Set up canvas pan/zoom tracking to update note positions
+ * Keep notes in step with the canvas
+ * LiteGraph redraws the canvas whenever it is panned or zoomed or nodes change, so
+ * the notes are synced from its draw calls and nothing runs while the canvas is idle.
  */
 function setupCanvasTracking() {
-    function checkTransform() {
-        // Only track if there are notes to update
-        if (stickyNotes.length > 0 && app.canvas && app.canvas.ds) {
-            const ds = app.canvas.ds;
-            const offsetChanged = ds.offset[0] !== lastOffset[0] || ds.offset[1] !== lastOffset[1];
-            const scaleChanged = ds.scale !== lastScale;
-
-            if (offsetChanged || scaleChanged) {
-                lastOffset[0] = ds.offset[0];
-                lastOffset[1] = ds.offset[1];
-                lastScale = ds.scale;
-                updateAllNotePositions();
+    const canvas = app.canvas;
+    const originalOnDrawForeground = canvas.onDrawForeground;
+
+    canvas.onDrawForeground = function(ctx, area) {
+        originalOnDrawForeground?.apply(this, arguments);
+
+        // An image export draws every note; the overlay stays as it is
+        if (exportingImage) {
+            drawNotesOnCanvas(ctx, false);
+            return;
+        }
+
+        syncWithCanvas();
+        if (canvasRendering) {
+            drawNotesOnCanvas(ctx, false, area);
+        }
+    };
+
+    syncWithCanvas();
+}
+
+/**
+ * Update the notes for a canvas frame: the view transform, notes attached to
+ * moved nodes, connector endpoints and displayed widget values
+ */
+function syncWithCanvas() {
+    if (!app.canvas?.ds) return;
+
+    const ds = app.canvas.ds;
+    const viewChanged = trackViewChange(ds, lastView);
+
+    // Attached notes also need updating when their nodes move
+    const nodesMoved = syncAttachedNotes();
+    updateCanvasRendering();
+
+    // Widget values shown in notes follow edits made on the nodes
+    scheduleWidgetRefresh();
+
+    if (viewChanged || nodesMoved) {
+        updateAllNotePositions();
+    } else {
+        // Connector endpoints follow nodes and groups
+        updateConnectors();
+    }
+}
+
+/**
+ * Refresh displayed widget values at most every WIDGET_REFRESH_INTERVAL,
+ * including once after the last change
+ */
+function scheduleWidgetRefresh() {
+    if (widgetRefreshTimer !== null) return;
+
+    const wait = Math.max(0, lastWidgetRefresh + WIDGET_REFRESH_INTERVAL - performance.now());
+    widgetRefreshTimer = setTimeout(() => {
+        widgetRefreshTimer = null;
+        lastWidgetRefresh = performance.now();
+        refreshWidgetValues();
+    }, wait);
+}
+
+/**
+ * Follow size changes without polling: the overlay's size decides which notes are
+ * culled, and notes growing or shrinking (e.g. while typing) move connector endpoints
+ */
+function setupResizeTracking(overlayEl) {
+    noteResizeObserver = new ResizeObserver((entries) => {
+        let viewResized = false;
+
+        for (const entry of entries) {
+            if (entry.target === overlayEl) {
+                viewSize.width = entry.contentRect.width;
+                viewSize.height = entry.contentRect.height;
+                viewResized = true;
+            }
+        }
+
+        if (viewResized) {
+            updateAllNotePositions();
+        } else {
+            updateConnectors();
+            redrawCanvasNotes();
+        }
+    });
+
+    noteResizeObserver.observe(overlayEl);
+    for (const note of stickyNotes) {
+        noteResizeObserver.observe(note.element);
+    }
+}
+
+/**
+ * Show or hide all notes and connectors (the "Show sticky notes" setting)
+ */
+function applyNotesVisibility() {
+    if (!overlay) return;
+
+    overlay.classList.toggle('notes-hidden', !settings.showNotes);
+    app.canvas?.setDirty(true, true);
+    if (!settings.showNotes) {
+        cancelAttachMode();
+        stickyNotes.filter(n => n.isEditing).forEach(stopEditing);
+        deselectAllNotes();
+        isCreateKeyHeld = false;
+    }
+}
+
+/**
+ * Read a setting's stored value from ComfyUI
+ */
+function readSetting(id) {
+    const store = app.extensionManager?.setting;
+    if (store?.get) return store.get(id);
+    return app.ui?.settings?.getSettingValue?.(id);
+}
+
+/**
+ * Build the setting definitions handed to ComfyUI
+ * Each setting stores its value in `settings` and runs its side effect.
+ */
+function getComfySettings() {
+    return SETTING_DEFINITIONS.map(({ key, onChange, ...definition }) => {
+        const defaultValue = settings[key];
+        return {
+            ...definition,
+            defaultValue,
+            onChange: (value) => {
+                settings[key] = value ?? defaultValue;
+                onChange?.();
             }
+        };
+    });
+}
+
+/**
+ * Register the settings (older frontends without extension settings) and load their values
+ */
+function setupSettings() {
+    if (!app.extensionManager?.setting) {
+        for (const definition of comfySettings) {
+            app.ui?.settings?.addSetting?.(definition);
         }
-        rafId = requestAnimationFrame(checkTransform);
     }
 
-    checkTransform();
+    for (const { key, id } of SETTING_DEFINITIONS) {
+        const value = readSetting(id);
+        if (value !== undefined && value !== null) {
+            settings[key] = value;
+        }
+    }
 }
 
 /**
@@ -1144,11 +5036,17 @@ function waitForCanvasAndAttach() {
                 const parent = canvas.parentElement;
                 parent.style.position = 'relative';
                 parent.appendChild(overlayEl);
+                applyNotesVisibility();
+                setViewerMode(viewerMode);
 
                 // Set up event listeners
                 setupKeyboardListeners();
+                setupAttachListener(canvas);
                 setupClickListener(canvas);
+                setupMarqueeSelection(canvas);
+                setupResizeTracking(overlayEl);
                 setupCanvasTracking();
+                hookBackgroundDrawing();
 
                 return true;
             }
@@ -1195,17 +5093,85 @@ function loadStyles() {
     document.head.appendChild(link);
 }
 
+// Setting definitions (built once so both registration paths share them)
+const comfySettings = getComfySettings();
+
 // Register the extension
 app.registerExtension({
     name: "comfyui.stickyNotes",
+    settings: comfySettings,
+
+    commands: [
+        { id: 'StickyNotes.ExportMarkdown', label: 'Export Sticky Notes as Markdown', function: () => exportNotes('markdown') },
+        { id: 'StickyNotes.ExportJson', label: 'Export Sticky Notes as JSON', function: () => exportNotes('json') },
+        { id: 'StickyNotes.ExportCsv', label: 'Export Sticky Notes as CSV', function: () => exportNotes('csv') },
+        { id: 'StickyNotes.ExportImage', label: 'Export Workflow as PNG with Sticky Notes', function: exportWorkflowImage },
+        { id: 'StickyNotes.Import', label: 'Import Sticky Notes...', function: importNotesFromFile },
+        { id: 'StickyNotes.ToggleViewerMode', label: 'Toggle Sticky Notes Viewer Mode', function: toggleViewerMode },
+        { id: 'StickyNotes.BringToFront', label: 'Bring Selected Sticky Notes to Front', function: () => reorderNotes(getLayerTargets(), 'front') },
+        { id: 'StickyNotes.BringForward', label: 'Bring Selected Sticky Notes Forward', function: () => reorderNotes(getLayerTargets(), 'forward') },
+        { id: 'StickyNotes.SendBackward', label: 'Send Selected Sticky Notes Backward', function: () => reorderNotes(getLayerTargets(), 'backward') },
+        { id: 'StickyNotes.SendToBack', label: 'Send Selected Sticky Notes to Back', function: () => reorderNotes(getLayerTargets(), 'back') },
+        {
+            id: 'StickyNotes.ToggleBehindNodes',
+            label: 'Toggle Selected Sticky Notes Behind Nodes',
+            function: () => {
+                const notes = getLayerTargets();
+                setNotesBehindNodes(notes, !notes.every(n => n.behindNodes));
+            }
+        },
+        ...ARRANGE_ACTIONS.map(action => ({
+            id: `StickyNotes.${action.id}`,
+            label: `${action.label} (Sticky Notes)`,
+            function: () => arrangeNotes(action, getArrangeTargets(action))
+        })),
+        { id: 'StickyNotes.CollapseAll', label: 'Collapse All Sticky Notes', function: () => setNotesCollapsed(stickyNotes, true) },
+        { id: 'StickyNotes.ExpandAll', label: 'Expand All Sticky Notes', function: () => setNotesCollapsed(stickyNotes, false) },
+        { id: 'StickyNotes.HideSelected', label: 'Hide Selected Sticky Notes', function: () => setNotesHidden(getLayerTargets(), true) },
+        { id: 'StickyNotes.ShowHidden', label: 'Show Hidden Sticky Notes', function: () => setNotesHidden(stickyNotes, false) },
+        {
+            id: 'StickyNotes.NewFromTemplate',
+            label: 'New Sticky Note from Template...',
+            function: () => {
+                const { x, y } = getCursorCanvasPosition();
+                openTemplatePicker(x, y);
+            }
+        }
+    ],
+
+    menuCommands: [
+        {
+            path: ['Workflow', 'Sticky Notes'],
+            commands: [
+                'StickyNotes.ExportMarkdown',
+                'StickyNotes.ExportJson',
+                'StickyNotes.ExportCsv',
+                'StickyNotes.ExportImage',
+                'StickyNotes.Import',
+                'StickyNotes.ToggleViewerMode',
+                'StickyNotes.CollapseAll',
+                'StickyNotes.ExpandAll',
+                'StickyNotes.ShowHidden'
+            ]
+        },
+        {
+            path: ['Workflow', 'Sticky Notes', 'Arrange'],
+            commands: ARRANGE_ACTIONS.map(action => `StickyNotes.${action.id}`)
+        }
+    ],
 
     async setup() {
         loadStyles();
+        setupSettings();
+        setupThemeTracking();
 
         // Hook into graph serialization/loading for persistence
         hookGraphSerialization();
         hookGraphLoading();
+        hookGraphChanges();
+        hookCanvasMenu();
 
+        registerNoteListSidebar();
         waitForCanvasAndAttach();
     }
 });
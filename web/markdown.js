@@ -0,0 +1,884 @@
+// Markdown tokenizer and renderer for sticky notes
+// Note text is parsed into a small AST (blocks containing inline nodes) and
+// rendered to HTML from there. Every piece of text is escaped on output and
+// link and image URLs are checked against a scheme allowlist, so a note in a
+// shared workflow can't inject markup or script. Only images from ComfyUI's own
+// server are loaded; others are shown as links, so opening a shared workflow
+// doesn't send requests to servers its author picked.
+//
+// This module has no dependencies on ComfyUI or the DOM so it can be tested under Node.
+
+// Link schemes that may be rendered as clickable links (relative URLs are always allowed)
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Image sources: http(s), relative URLs (such as ComfyUI's /view) and inline raster images
+const SAFE_IMAGE_SCHEMES = ['http', 'https'];
+const DATA_IMAGE_REGEX = /^data:image\/(png|jpeg|gif|webp|avif);base64,[a-z0-9+/=]+$/i;
+
+// Block syntax
+const HEADING_REGEX = /^(#{1,3}) (.+)$/;
+const HR_REGEX = /^---$/;
+const QUOTE_REGEX = /^> ?/;
+const FENCE_REGEX = /^\s*```/;
+const ONE_LINE_CODE_REGEX = /^\s*```(.+?)```\s*$/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK_MARKER_REGEX = /^\[( |x|X)\]\s+([\s\S]*)$/;
+// A task item's source line up to its checkbox (quote markers, indent and list marker)
+const TASK_LINE_REGEX = /^((?:\s*>)*\s*(?:[-*+]|\d+[.)])\s+)\[( |x|X)\]/;
+const TABLE_SEPARATOR_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Live widget value: {{12.seed}}, {{"Load Checkpoint".ckpt_name}} or {{KSampler.cfg}}
+const WIDGET_REF_REGEX = /^\{\{\s*(\d+|"(?:[^"\\\n]|\\.)+"|[^".{}\n]+?)\s*\.\s*([^{}\n]+?)\s*\}\}/;
+
+// Characters that can be escaped with a backslash
+const ASCII_PUNCTUATION_REGEX = /[!-/:-@[-`{-~]/;
+
+// Links and emphasis nested deeper than this are kept as text
+const MAX_INLINE_DEPTH = 16;
+
+/**
+ * Escape text for use in HTML content or attribute values
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get the lowercase scheme of a URL, or null for relative URLs
+ * Browsers ignore whitespace and control characters inside a scheme
+ * ("java\tscript:"), so those are stripped before checking.
+ */
+function getUrlScheme(url) {
+    const normalized = String(url).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+    return normalized.match(/^([a-z][a-z0-9+.-]*):/)?.[1] ?? null;
+}
+
+/**
+ * Check a link URL against the scheme allowlist
+ */
+export function isSafeUrl(url) {
+    const scheme = getUrlScheme(url);
+    return !scheme || SAFE_URL_SCHEMES.includes(scheme);
+}
+
+/**
+ * Check an image source: http(s), relative URLs and base64 raster data URLs
+ */
+export function isSafeImageUrl(url) {
+    if (DATA_IMAGE_REGEX.test(String(url))) return true;
+
+    const scheme = getUrlScheme(url);
+    return !scheme || SAFE_IMAGE_SCHEMES.includes(scheme);
+}
+
+/**
+ * Check whether an image loads from the page's own server: an inline data URL,
+ * a relative URL or an absolute URL with the given origin
+ * Protocol-relative URLs ("//host/a.png", also written with backslashes) load
+ * from another host, so they don't count as relative.
+ * @param {string} url - Image source (already checked with isSafeImageUrl)
+ * @param {string|null} [origin] - Origin of the page, e.g. "http://127.0.0.1:8188"
+ */
+export function isLocalImageUrl(url, origin = null) {
+    const source = String(url);
+    if (DATA_IMAGE_REGEX.test(source)) return true;
+
+    const normalized = source.replace(/[\u0000- \u007f]/g, '');
+    if (!getUrlScheme(source)) return !/^[/\\]{2}/.test(normalized);
+
+    try {
+        return !!origin && new URL(source).origin === origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Inline tokenizer
+// ---------------------------------------------------------------------------
+
+function isWordChar(ch) {
+    return !!ch && /[\p{L}\p{N}]/u.test(ch);
+}
+
+function countRun(text, index, ch) {
+    let end = index;
+    while (text[end] === ch) end++;
+    return end - index;
+}
+
+/**
+ * Find the backtick run that closes a code span
+ * @returns {number} Index of the closing run, or -1
+ */
+function findCodeSpanEnd(text, from, length) {
+    let i = from;
+    while (i < text.length) {
+        if (text[i] === '`') {
+            const run = countRun(text, i, '`');
+            if (run === length) return i;
+            i += run;
+        } else {
+            i++;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Find the closing emphasis delimiter, skipping escapes and code spans
+ * @returns {number} Index of the closing delimiter, or -1
+ */
+function findClosingDelimiter(text, from, delim) {
+    const ch = delim[0];
+    let i = from + 1;
+
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+            continue;
+        }
+
+        if (text[i] === '`') {
+            const run = countRun(text, i, '`');
+            const end = findCodeSpanEnd(text, i + run, run);
+            i = end === -1 ? i + run : end + run;
+            continue;
+        }
+
+        if (text.startsWith(delim, i) && !/\s/.test(text[i - 1])) {
+            const afterClose = text[i + delim.length];
+
+            // A shorter delimiter must not be the start of a longer run
+            if (delim.length < 3 && ch !== '~' && afterClose === ch) {
+                i += countRun(text, i, ch);
+                continue;
+            }
+
+            // Underscores inside words don't close emphasis (snake_case_names)
+            if (ch === '_' && isWordChar(afterClose)) {
+                i++;
+                continue;
+            }
+
+            return i;
+        }
+
+        i++;
+    }
+
+    return -1;
+}
+
+/**
+ * Try to read emphasis (***both***, **strong**, __strong__, *em*, _em_, ~~del~~) at a position
+ * @param {Object} scan - State shared by one parseInline call (see createScanState)
+ */
+function matchEmphasis(text, index, scan) {
+    const ch = text[index];
+    const candidates = ch === '~' ? ['~~'] : [ch.repeat(3), ch + ch, ch];
+
+    for (const delim of candidates) {
+        if (!text.startsWith(delim, index)) continue;
+
+        const start = index + delim.length;
+        if (start >= text.length || /\s/.test(text[start])) continue;
+
+        // Underscores inside words don't open emphasis either
+        if (ch === '_' && isWordChar(text[index - 1])) continue;
+
+        // A delimiter with no closer after some position has none after later ones either,
+        // so runs of unclosed delimiters don't each scan to the end
+        if (scan.unclosedFrom.get(delim) <= start) continue;
+
+        const close = findClosingDelimiter(text, start, delim);
+        if (close === -1) {
+            scan.unclosedFrom.set(delim, start);
+            continue;
+        }
+
+        const children = parseInline(text.slice(start, close), scan.depth + 1);
+        const nodes = {
+            1: { type: 'em', children },
+            2: { type: ch === '~' ? 'del' : 'strong', children },
+            3: { type: 'strong', children: [{ type: 'em', children }] }
+        };
+
+        return { node: nodes[delim.length], end: close + delim.length };
+    }
+
+    return null;
+}
+
+/**
+ * Remove backslash escapes from a string (used for link URLs)
+ */
+function unescapeBackslashes(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+/**
+ * Pair every opening character with its closing one in a single pass
+ * Pairs nest, a backslash escapes the next character, and no pair spans a stop character.
+ * @returns {Map<number, number>} Index of each opening character to the index of its closing one
+ */
+function matchPairs(text, open, close, stop) {
+    const pairs = new Map();
+    const opened = [];
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === open) {
+            opened.push(i);
+        } else if (ch === close) {
+            if (opened.length > 0) pairs.set(opened.pop(), i);
+        } else if (stop.test(ch)) {
+            opened.length = 0;
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Create the state shared by the matchers during one parseInline call
+ * Brackets are paired once up front, so finding the end of a link is a lookup
+ * instead of a scan to the end of the text for every [.
+ */
+function createScanState(text, depth) {
+    return {
+        depth,
+        // Link labels can't span lines, URLs can't contain whitespace
+        brackets: text.includes('[') ? matchPairs(text, '[', ']', /\n/) : new Map(),
+        parentheses: text.includes('(') ? matchPairs(text, '(', ')', /\s/) : new Map(),
+        // Per emphasis delimiter, the first position known to have no closer after it
+        unclosedFrom: new Map()
+    };
+}
+
+/**
+ * Try to read a link [text](url) at a position
+ * @param {Object} scan - State shared by one parseInline call (see createScanState)
+ */
+function matchLink(text, index, scan) {
+    // The matching ] (brackets can nest)
+    const labelEnd = scan.brackets.get(index);
+    if (labelEnd === undefined || text[labelEnd + 1] !== '(') return null;
+
+    // The matching ) (parentheses in URLs can nest)
+    const j = scan.parentheses.get(labelEnd + 1);
+    if (j === undefined) return null;
+
+    const href = unescapeBackslashes(text.slice(labelEnd + 2, j));
+    if (!href) return null;
+
+    const label = text.slice(index + 1, labelEnd);
+    return {
+        node: { type: 'link', href, children: parseInline(label, scan.depth + 1) },
+        label,
+        end: j + 1
+    };
+}
+
+/**
+ * Tokenize inline markdown into AST nodes
+ * Node types: text, code, strong, em, del, link, image, node_ref, widget_ref, break
+ * @param {string} text
+ * @param {number} [depth] - How deeply the text is nested in links and emphasis
+ */
+export function parseInline(text, depth = 0) {
+    const nodes = [];
+    const scan = createScanState(text, depth);
+    const nested = depth < MAX_INLINE_DEPTH;
+    let buffer = '';
+
+    const flushText = () => {
+        if (buffer) {
+            nodes.push({ type: 'text', value: buffer });
+            buffer = '';
+        }
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+
+        // Backslash escape
+        if (ch === '\\' && ASCII_PUNCTUATION_REGEX.test(text[i + 1] || '')) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        // Line break within a block
+        if (ch === '\n') {
+            flushText();
+            nodes.push({ type: 'break' });
+            i++;
+            continue;
+        }
+
+        // Inline code - contents are taken literally
+        if (ch === '`') {
+            const run = countRun(text, i, '`');
+            const end = findCodeSpanEnd(text, i + run, run);
+            if (end !== -1) {
+                flushText();
+                nodes.push({ type: 'code', value: text.slice(i + run, end) });
+                i = end + run;
+            } else {
+                buffer += text.slice(i, i + run);
+                i += run;
+            }
+            continue;
+        }
+
+        // Node reference [[#12]] / [[Title]]
+        if (text.startsWith('[[', i)) {
+            const ref = text.slice(i).match(/^\[\[([^[\]\n]+)\]\]/);
+            if (ref) {
+                flushText();
+                nodes.push({ type: 'node_ref', ref: ref[1].trim() });
+                i += ref[0].length;
+                continue;
+            }
+        }
+
+        // Widget value {{12.seed}} - the node is "#12" for an ID, otherwise a title or type
+        if (text.startsWith('{{', i)) {
+            const match = text.slice(i).match(WIDGET_REF_REGEX);
+            if (match) {
+                const node = match[1];
+                flushText();
+                nodes.push({
+                    type: 'widget_ref',
+                    ref: /^\d+$/.test(node) ? `#${node}` : node.replace(/^"|"$/g, '').replace(/\\(.)/g, '$1'),
+                    widget: match[2],
+                    source: match[0]
+                });
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        // Image ![alt](src) - the alt text is taken literally
+        if (ch === '!' && text[i + 1] === '[' && nested) {
+            const link = matchLink(text, i + 1, scan);
+            if (link) {
+                flushText();
+                nodes.push({ type: 'image', src: link.node.href, alt: unescapeBackslashes(link.label) });
+                i = link.end;
+                continue;
+            }
+        }
+
+        // Link
+        if (ch === '[' && nested) {
+            const link = matchLink(text, i, scan);
+            if (link) {
+                flushText();
+                nodes.push(link.node);
+                i = link.end;
+                continue;
+            }
+        }
+
+        // Emphasis and strikethrough
+        if (ch === '*' || ch === '_' || (ch === '~' && text[i + 1] === '~')) {
+            const emphasis = nested ? matchEmphasis(text, i, scan) : null;
+            if (emphasis) {
+                flushText();
+                nodes.push(emphasis.node);
+                i = emphasis.end;
+                continue;
+            }
+
+            // Not emphasis: keep the whole delimiter run as text
+            const run = countRun(text, i, ch);
+            buffer += text.slice(i, i + run);
+            i += run;
+            continue;
+        }
+
+        buffer += ch;
+        i++;
+    }
+
+    flushText();
+    return nodes;
+}
+
+// ---------------------------------------------------------------------------
+// Block tokenizer
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a table row into cell sources (a leading/trailing pipe is optional, \| is a literal pipe)
+ */
+function splitTableRow(row) {
+    let source = row.trim();
+    if (source.startsWith('|')) source = source.slice(1);
+    if (source.endsWith('|') && !source.endsWith('\\|')) source = source.slice(0, -1);
+
+    return source.split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Parse a pipe table; the separator row sets column alignment (:--- / :---: / ---:)
+ */
+function parseTable(rows, separator) {
+    const align = splitTableRow(separator).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+
+    const header = splitTableRow(rows[0]);
+    const columns = header.length;
+    const toCells = (cells) => Array.from({ length: columns }, (_, c) => parseInline(cells[c] || ''));
+
+    return {
+        type: 'table',
+        align: align.slice(0, columns),
+        header: toCells(header),
+        rows: rows.slice(1).map(row => toCells(splitTableRow(row)))
+    };
+}
+
+/**
+ * Parse one list starting at items[start], including nested lists of deeper-indented items
+ * A change between bullet and ordered markers at the same level starts a new list.
+ * @returns {{node: Object, next: number}} The list node and the index of the first item after it
+ */
+function parseList(items, start) {
+    const first = items[start];
+    const ordered = /\d/.test(first.marker);
+    const list = {
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(first.marker, 10) : 1,
+        items: []
+    };
+
+    let i = start;
+    while (i < items.length && items[i].indent === first.indent && /\d/.test(items[i].marker) === ordered) {
+        const item = items[i];
+        i++;
+
+        // Deeper-indented items that follow belong to this item
+        const sublists = [];
+        while (i < items.length && items[i].indent > first.indent) {
+            const child = parseList(items, i);
+            sublists.push(child.node);
+            i = child.next;
+        }
+
+        const task = item.text.match(TASK_MARKER_REGEX);
+        list.items.push({
+            task: task ? { checked: task[1] !== ' ', line: item.line } : null,
+            children: parseInline(task ? task[2] : item.text),
+            sublists
+        });
+    }
+
+    return { node: list, next: i };
+}
+
+/**
+ * Tokenize block-level markdown into AST nodes
+ * Node types: heading, paragraph, code_block, blockquote, hr, list, table
+ * @param {Array<{text: string, line: number}>} lines - Lines with their source line index
+ */
+function parseBlocks(lines) {
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+            paragraph = [];
+        }
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const text = lines[i].text;
+
+        // Blank line ends a paragraph
+        if (!text.trim()) {
+            flushParagraph();
+            i++;
+            continue;
+        }
+
+        // Code blocks (triple backticks), on one line or fenced over several
+        const oneLineCode = text.match(ONE_LINE_CODE_REGEX);
+        if (oneLineCode) {
+            flushParagraph();
+            blocks.push({ type: 'code_block', value: oneLineCode[1] });
+            i++;
+            continue;
+        }
+        if (FENCE_REGEX.test(text)) {
+            flushParagraph();
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```\s*$/.test(lines[i].text)) {
+                code.push(lines[i].text);
+                i++;
+            }
+            blocks.push({ type: 'code_block', value: code.join('\n') });
+            i++;
+            continue;
+        }
+
+        // Headers
+        const heading = text.match(HEADING_REGEX);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+            i++;
+            continue;
+        }
+
+        // Horizontal rule
+        if (HR_REGEX.test(text)) {
+            flushParagraph();
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        // Blockquotes - consecutive quoted lines form one quote, parsed recursively
+        if (QUOTE_REGEX.test(text)) {
+            flushParagraph();
+            const quoted = [];
+            while (i < lines.length && QUOTE_REGEX.test(lines[i].text)) {
+                quoted.push({ text: lines[i].text.replace(QUOTE_REGEX, ''), line: lines[i].line });
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+            continue;
+        }
+
+        // Tables - a header row followed by a separator row
+        if (text.includes('|') && i + 1 < lines.length &&
+            TABLE_SEPARATOR_REGEX.test(lines[i + 1].text) && lines[i + 1].text.includes('-')) {
+            flushParagraph();
+            const rows = [text];
+            const separator = lines[i + 1].text;
+            i += 2;
+            while (i < lines.length && lines[i].text.includes('|') && lines[i].text.trim()) {
+                rows.push(lines[i].text);
+                i++;
+            }
+            blocks.push(parseTable(rows, separator));
+            continue;
+        }
+
+        // Lists (nested by indentation)
+        if (LIST_ITEM_REGEX.test(text)) {
+            flushParagraph();
+            const items = [];
+            while (i < lines.length) {
+                const match = lines[i].text.match(LIST_ITEM_REGEX);
+                if (match) {
+                    items.push({
+                        indent: match[1].replace(/\t/g, '    ').length,
+                        marker: match[2],
+                        text: match[3],
+                        line: lines[i].line
+                    });
+                } else if (items.length > 0 && /^\s+\S/.test(lines[i].text)) {
+                    // Indented continuation of the previous item
+                    items[items.length - 1].text += '\n' + lines[i].text.trim();
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            let index = 0;
+            while (index < items.length) {
+                const list = parseList(items, index);
+                blocks.push(list.node);
+                index = list.next;
+            }
+            continue;
+        }
+
+        paragraph.push(text);
+        i++;
+    }
+
+    flushParagraph();
+    return blocks;
+}
+
+/**
+ * Parse markdown text into an AST
+ * List items that are tasks keep the index of their source line so they can be toggled.
+ * @returns {{type: 'root', children: Array}}
+ */
+export function parseMarkdownToAst(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n')
+        .map((lineText, line) => ({ text: lineText, line }));
+
+    return { type: 'root', children: parseBlocks(lines) };
+}
+
+/**
+ * Find the task list item that starts on a source line
+ */
+function findTaskItem(blocks, line) {
+    for (const block of blocks) {
+        if (block.type === 'blockquote') {
+            const item = findTaskItem(block.children, line);
+            if (item) return item;
+        } else if (block.type === 'list') {
+            for (const item of block.items) {
+                if (item.task?.line === line) return item;
+
+                const nested = findTaskItem(item.sublists, line);
+                if (nested) return nested;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Check or uncheck the task list item on a source line
+ * Only real task items are changed: lines in code blocks or without a list marker aren't.
+ * @param {string} text - Markdown source
+ * @param {number} line - Source line index (as in the `data-task-line` of rendered checkboxes)
+ * @returns {string|null} The new source, or null when there is no task item on the line
+ */
+export function toggleTaskMarker(text, line) {
+    if (!text || !findTaskItem(parseMarkdownToAst(text).children, line)) return null;
+
+    // Lines at even indices, their line breaks (kept as they were) in between
+    const parts = text.split(/(\r\n?|\n)/);
+    parts[line * 2] = parts[line * 2].replace(TASK_LINE_REGEX,
+        (match, prefix, mark) => `${prefix}[${mark === ' ' ? 'x' : ' '}]`);
+    return parts.join('');
+}
+
+// ---------------------------------------------------------------------------
+// Renderer
+// ---------------------------------------------------------------------------
+
+/**
+ * Render AST nodes to HTML
+ * @param {Array} nodes - Block or inline nodes
+ * @param {Object} options - See renderMarkdown
+ */
+function renderNodes(nodes, options) {
+    return nodes.map(node => renderNode(node, options)).join('');
+}
+
+function renderNode(node, options) {
+    switch (node.type) {
+        // Inline
+        case 'text':
+            return escapeHtml(node.value);
+        case 'code':
+            return `<code>${escapeHtml(node.value)}</code>`;
+        case 'strong':
+        case 'em':
+        case 'del':
+            return `<${node.type}>${renderNodes(node.children, options)}</${node.type}>`;
+        case 'link':
+            // Links with a disallowed scheme are shown as plain text
+            if (!isSafeUrl(node.href)) {
+                return renderNodes(node.children, options);
+            }
+            return `<a href="${escapeHtml(node.href)}" target="_blank" rel="noopener noreferrer">` +
+                `${renderNodes(node.children, options)}</a>`;
+        case 'image':
+            // Images from a disallowed source are shown as their alt text
+            if (!isSafeImageUrl(node.src)) {
+                return escapeHtml(node.alt);
+            }
+            // Images from other servers are only loaded when the link is opened
+            if (!isLocalImageUrl(node.src, options.origin)) {
+                return `<a class="external-image" href="${escapeHtml(node.src)}" target="_blank" ` +
+                    `rel="noopener noreferrer" title="${escapeHtml(node.src)}">${escapeHtml(node.alt || node.src)}</a>`;
+            }
+            return `<img src="${escapeHtml(node.src)}" alt="${escapeHtml(node.alt)}" loading="lazy">`;
+        case 'node_ref':
+            return options.renderNodeReference
+                ? options.renderNodeReference(node.ref)
+                : escapeHtml(`[[${node.ref}]]`);
+        case 'widget_ref':
+            return options.renderWidgetReference
+                ? options.renderWidgetReference(node.ref, node.widget)
+                : escapeHtml(node.source);
+        case 'break':
+            return '<br>';
+
+        // Block
+        case 'heading':
+            return `<h${node.level}>${renderNodes(node.children, options)}</h${node.level}>`;
+        case 'paragraph':
+            return `<p>${renderNodes(node.children, options)}</p>`;
+        case 'code_block':
+            return `<pre><code>${escapeHtml(node.value)}</code></pre>`;
+        case 'blockquote':
+            return `<blockquote>${renderNodes(node.children, options)}</blockquote>`;
+        case 'hr':
+            return '<hr>';
+        case 'list':
+            return renderList(node, options);
+        case 'table':
+            return renderTable(node, options);
+        default:
+            return '';
+    }
+}
+
+function renderList(list, options) {
+    const open = list.ordered ? (list.start === 1 ? '<ol>' : `<ol start="${list.start}">`) : '<ul>';
+    const close = list.ordered ? '</ol>' : '</ul>';
+
+    const items = list.items.map(item => {
+        const content = renderNodes(item.children, options) + renderNodes(item.sublists, options);
+        if (!item.task) {
+            return `<li>${content}</li>`;
+        }
+        return `<li class="task-item"><input type="checkbox" data-task-line="${item.task.line}"` +
+            `${item.task.checked ? ' checked' : ''}>${content}</li>`;
+    });
+
+    return open + items.join('') + close;
+}
+
+function renderTable(table, options) {
+    const renderRow = (cells, tag) => '<tr>' + cells.map((cell, c) => {
+        const align = table.align[c] ? ` style="text-align: ${table.align[c]}"` : '';
+        return `<${tag}${align}>${renderNodes(cell, options)}</${tag}>`;
+    }).join('') + '</tr>';
+
+    let html = `<table><thead>${renderRow(table.header, 'th')}</thead>`;
+    if (table.rows.length > 0) {
+        html += `<tbody>${table.rows.map(row => renderRow(row, 'td')).join('')}</tbody>`;
+    }
+    return html + '</table>';
+}
+
+// ---------------------------------------------------------------------------
+// Plain text renderer (for drawing notes on the canvas)
+// ---------------------------------------------------------------------------
+
+/**
+ * Render inline AST nodes to plain text
+ */
+function inlineToText(nodes, options) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+            case 'code':
+                return node.value;
+            case 'strong':
+            case 'em':
+            case 'del':
+            case 'link':
+                return inlineToText(node.children, options);
+            case 'image':
+                return node.alt;
+            case 'node_ref':
+                return options.formatNodeReference ? options.formatNodeReference(node.ref) : node.ref;
+            case 'widget_ref':
+                return options.formatWidgetReference
+                    ? options.formatWidgetReference(node.ref, node.widget)
+                    : node.source;
+            case 'break':
+                return '\n';
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+/**
+ * Render block AST nodes to plain text lines
+ */
+function blocksToLines(blocks, options, indent = '') {
+    const lines = [];
+
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading':
+            case 'paragraph':
+                lines.push(...inlineToText(block.children, options).split('\n').map(line => indent + line));
+                break;
+            case 'code_block':
+                lines.push(...block.value.split('\n').map(line => indent + line));
+                break;
+            case 'blockquote':
+                lines.push(...blocksToLines(block.children, options, indent + '\u2502 '));
+                break;
+            case 'hr':
+                lines.push(indent + '\u2500'.repeat(8));
+                break;
+            case 'list':
+                block.items.forEach((item, i) => {
+                    const marker = item.task
+                        ? (item.task.checked ? '\u2611' : '\u2610')
+                        : (block.ordered ? `${block.start + i}.` : '\u2022');
+                    const [first, ...rest] = inlineToText(item.children, options).split('\n');
+                    lines.push(`${indent}${marker} ${first}`, ...rest.map(line => `${indent}  ${line}`));
+                    lines.push(...blocksToLines(item.sublists, options, indent + '  '));
+                });
+                break;
+            case 'table':
+                for (const row of [block.header, ...block.rows]) {
+                    lines.push(indent + row.map(cell => inlineToText(cell, options)).join(' | '));
+                }
+                break;
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * Render markdown text to plain text, one line per rendered line
+ * Formatting marks are dropped, list items get bullets and task items checkboxes.
+ * @param {string} text - Markdown source
+ * @param {Object} [options]
+ * @param {Function} [options.formatNodeReference] - Returns the text for a [[ref]] node reference
+ * @param {Function} [options.formatWidgetReference] - Returns the text for a {{node.widget}} value
+ * @returns {Array<string>} Lines of text
+ */
+export function renderPlainText(text, options = {}) {
+    if (!text) return [];
+    return blocksToLines(parseMarkdownToAst(text).children, options);
+}
+
+/**
+ * Render markdown text to safe HTML
+ * @param {string} text - Markdown source
+ * @param {Object} [options]
+ * @param {Function} [options.renderNodeReference] - Returns HTML for a [[ref]] node reference;
+ *   without it references are shown as escaped text
+ * @param {Function} [options.renderWidgetReference] - Returns HTML for a {{node.widget}} value,
+ *   given the node reference ("#12", a title or a type) and the widget name; without it the
+ *   placeholder is shown as escaped text
+ * @param {string} [options.origin] - Origin of the page; absolute image URLs with it are
+ *   loaded like relative ones, other absolute image URLs are rendered as links
+ */
+export function renderMarkdown(text, options = {}) {
+    if (!text) return '';
+    return renderNodes(parseMarkdownToAst(text).children, options);
+}
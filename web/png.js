@@ -0,0 +1,122 @@
+// PNG text chunks, used to embed the workflow in exported images
+// ComfyUI reads a `workflow` tEXt chunk from dropped PNGs, so an exported image
+// loads back as the workflow, notes included.
+//
+// This module has no dependencies on ComfyUI or the DOM so it can be tested under Node.
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 that PNG chunks end with
+ * @param {Uint8Array} bytes
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Serialize a value as JSON with only ASCII characters
+ * tEXt chunks are Latin-1, so other characters are written as \u escapes.
+ */
+export function toAsciiJson(value) {
+    return JSON.stringify(value).replace(/[\u007f-\uffff]/g,
+        (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Check that bytes start with the PNG signature
+ */
+function assertPng(png) {
+    if (png.length < 8 || PNG_SIGNATURE.some((byte, i) => png[i] !== byte)) {
+        throw new Error('Not a PNG image');
+    }
+}
+
+/**
+ * Build a tEXt chunk: keyword, a zero byte and the text, both Latin-1
+ */
+function createTextChunk(keyword, text) {
+    const data = new Uint8Array(keyword.length + 1 + text.length);
+    for (let i = 0; i < keyword.length; i++) data[i] = keyword.charCodeAt(i) & 0xff;
+    for (let i = 0; i < text.length; i++) data[keyword.length + 1 + i] = text.charCodeAt(i) & 0xff;
+
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set([116, 69, 88, 116], 4); // "tEXt"
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Add tEXt chunks to a PNG image, right after its header chunk
+ * @param {Uint8Array} png - PNG file
+ * @param {Object<string, string>} entries - Keyword to Latin-1 text
+ * @returns {Uint8Array} The new PNG file
+ */
+export function addPngTextChunks(png, entries) {
+    assertPng(png);
+
+    // The IHDR chunk always comes first: 8 bytes of signature, then length + type + 13 + CRC
+    const headerEnd = 8 + 12 + new DataView(png.buffer, png.byteOffset).getUint32(8);
+    const chunks = Object.entries(entries).map(([keyword, text]) => createTextChunk(keyword, text));
+    const size = png.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    const result = new Uint8Array(size);
+    result.set(png.subarray(0, headerEnd));
+    let position = headerEnd;
+    for (const chunk of chunks) {
+        result.set(chunk, position);
+        position += chunk.length;
+    }
+    result.set(png.subarray(headerEnd), position);
+    return result;
+}
+
+/**
+ * Read the tEXt chunks of a PNG image
+ * @param {Uint8Array} png - PNG file
+ * @returns {Object<string, string>} Keyword to text
+ */
+export function readPngTextChunks(png) {
+    assertPng(png);
+
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const entries = {};
+    let position = 8;
+
+    while (position + 12 <= png.length) {
+        const length = view.getUint32(position);
+        const type = String.fromCharCode(...png.subarray(position + 4, position + 8));
+
+        if (type === 'tEXt') {
+            const data = png.subarray(position + 8, position + 8 + length);
+            const separator = data.indexOf(0);
+            const keyword = String.fromCharCode(...data.subarray(0, separator));
+            entries[keyword] = Array.from(data.subarray(separator + 1), byte => String.fromCharCode(byte)).join('');
+        }
+        if (type === 'IEND') break;
+
+        position += 12 + length;
+    }
+
+    return entries;
+}
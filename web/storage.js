@@ -0,0 +1,94 @@
+// Storage format of the notes saved in a workflow's `extra.stickyNotes`
+// Notes are saved in a versioned envelope: { version, notes, ...otherFields }.
+// Older formats are brought up to date by a chain of migrations, one per
+// version step. Data written by a newer version of the extension is read as
+// far as we understand it and never thrown away, so re-saving keeps it intact.
+//
+// This module has no dependencies on ComfyUI or the DOM so it can be tested under Node.
+
+// Current storage format version
+export const STORAGE_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each one takes an envelope of that version and returns one of the next version.
+ */
+export const MIGRATIONS = {
+    // Version 0: a bare array of notes (before the envelope existed)
+    0: (envelope) => ({ ...envelope, version: 1 })
+};
+
+/**
+ * Wrap stored data of any known format into an envelope with a version
+ * @returns {Object|null} Envelope, or null if the data isn't notes data at all
+ */
+export function toEnvelope(data) {
+    if (Array.isArray(data)) {
+        return { version: 0, notes: data };
+    }
+
+    if (data && typeof data === 'object' && Array.isArray(data.notes)) {
+        const version = Number.isInteger(data.version) && data.version >= 0 ? data.version : 0;
+        return { ...data, version };
+    }
+
+    return null;
+}
+
+/**
+ * Bring stored notes data up to the current format
+ * Envelopes from a newer version are returned unchanged.
+ * @param {*} data - The saved `extra.stickyNotes` value
+ * @returns {Object|null} Envelope with `version >= STORAGE_VERSION`, or null
+ */
+export function migrateNotesData(data) {
+    let envelope = toEnvelope(data);
+    if (!envelope) return null;
+
+    while (envelope.version < STORAGE_VERSION) {
+        const migrate = MIGRATIONS[envelope.version];
+        if (!migrate) {
+            throw new Error(`No sticky notes migration from version ${envelope.version}`);
+        }
+        envelope = migrate(envelope);
+    }
+
+    return envelope;
+}
+
+/**
+ * Build the envelope to save
+ * Fields of the loaded envelope that this version doesn't know are kept, and
+ * so is a newer version number, so a newer extension still recognises its data.
+ * @param {Array} notes - Serialized notes
+ * @param {Object|null} loaded - The envelope the workflow was loaded with
+ */
+export function createEnvelope(notes, loaded = null) {
+    const version = Math.max(STORAGE_VERSION, loaded?.version ?? 0);
+    return { ...loaded, version, notes };
+}
+
+/**
+ * Replace the notes data in a serialized workflow when it is the data notes were loaded from
+ * Restoring notes normalises them (a bare array becomes an envelope, missing fields
+ * get defaults), so a workflow state remembered before the restore would no longer
+ * match what the same notes save as, and comparing the two would find a change.
+ * @param {Object|null} state - Serialized workflow
+ * @param {string} key - Key of the notes data in the workflow's `extra`
+ * @param {*} loaded - Notes data the notes were restored from
+ * @param {Object} saved - Notes data the restored notes save as
+ * @returns {Object|null} A copy of the state with the saved notes data, or the state itself
+ */
+export function replaceLoadedNotesData(state, key, loaded, saved) {
+    if (!state?.extra || JSON.stringify(state.extra[key]) !== JSON.stringify(loaded)) {
+        return state;
+    }
+    return { ...state, extra: { ...state.extra, [key]: saved } };
+}
+
+/**
+ * Check whether an envelope was written by a newer version of the extension
+ */
+export function isNewerVersion(envelope) {
+    return !!envelope && envelope.version > STORAGE_VERSION;
+}
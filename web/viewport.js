@@ -0,0 +1,162 @@
+// Placement of note elements on the canvas view
+// Notes are laid out in canvas coordinates inside one layer element, so panning
+// and zooming only change that layer's transform. Notes outside the visible area
+// are culled (taken out of layout and paint) until they come back into view.
+//
+// This module has no dependencies on ComfyUI so the benchmark page can drive it
+// with a mock canvas (see bench/), and main.js positions notes only through it.
+
+// Extra screen pixels around the view in which notes stay rendered, so notes
+// don't pop in at the edges while panning
+export const CULL_MARGIN = 200;
+
+/**
+ * Get the CSS transform that maps canvas coordinates to screen coordinates
+ * LiteGraph uses: screenPos = (canvasPos + offset) * scale
+ * @param {Object} ds - LiteGraph's DragAndScale (`offset` and `scale`)
+ */
+export function getViewTransform(ds) {
+    return `scale(${ds.scale}) translate(${ds.offset[0]}px, ${ds.offset[1]}px)`;
+}
+
+/**
+ * Get the visible part of the canvas in canvas coordinates, widened by a margin
+ * @param {Object} ds - LiteGraph's DragAndScale
+ * @param {number} width - View width in screen pixels
+ * @param {number} height - View height in screen pixels
+ * @param {number} [margin] - Margin in screen pixels
+ */
+export function getVisibleArea(ds, width, height, margin = CULL_MARGIN) {
+    const canvasMargin = margin / ds.scale;
+    return {
+        x: -ds.offset[0] - canvasMargin,
+        y: -ds.offset[1] - canvasMargin,
+        width: width / ds.scale + canvasMargin * 2,
+        height: height / ds.scale + canvasMargin * 2
+    };
+}
+
+/**
+ * Check whether a rectangle is (partly) inside an area
+ */
+export function isRectVisible(rect, area) {
+    return rect.x < area.x + area.width && rect.x + rect.width > area.x &&
+        rect.y < area.y + area.height && rect.y + rect.height > area.y;
+}
+
+/**
+ * Move a note's element to the note's canvas position
+ * Styles are only written when the position changed since the last call.
+ * @param {Object} note - Note with `element`, `canvasX` and `canvasY`
+ */
+export function placeNoteElement(note) {
+    const el = note.element;
+    if (note.placedX !== note.canvasX) {
+        el.style.left = `${note.canvasX}px`;
+        note.placedX = note.canvasX;
+    }
+    if (note.placedY !== note.canvasY) {
+        el.style.top = `${note.canvasY}px`;
+        note.placedY = note.canvasY;
+    }
+}
+
+/**
+ * Cull or restore a note's element
+ * @returns {boolean} Whether the state changed
+ */
+export function setNoteCulled(note, culled) {
+    if (!!note.culled === culled) return false;
+
+    note.culled = culled;
+    note.element.classList.toggle('culled', culled);
+    return true;
+}
+
+/**
+ * Get a note's bounds in canvas coordinates
+ * @param {Object} note - Note with `element`, its canvas position and stored size
+ */
+export function getNoteBounds(note) {
+    // Culled notes aren't laid out; they keep the size they last had on screen
+    const rendered = note.culled
+        ? note.renderedSize
+        : { width: note.element.offsetWidth, height: note.element.offsetHeight };
+
+    // Collapsed notes are only as large as their title bar
+    if (note.collapsed) {
+        return {
+            x: note.canvasX,
+            y: note.canvasY,
+            width: rendered?.width || note.width,
+            height: rendered?.height || 0
+        };
+    }
+
+    return {
+        x: note.canvasX,
+        y: note.canvasY,
+        width: note.width,
+        // Rendered height can exceed the stored min-height when the text is long
+        height: Math.max(note.height, rendered?.height || 0)
+    };
+}
+
+/**
+ * Take notes outside an area out of layout, and bring back the ones inside it
+ * Notes being edited always stay so they keep focus; hidden notes are always culled.
+ * @param {Array} notes - Notes
+ * @param {Object} area - Visible area in canvas coordinates
+ */
+export function cullNotes(notes, area) {
+    // Measure every note before changing any, so the layout is computed only once
+    const visibility = notes.map(note =>
+        !note.hidden && (note.isEditing || isRectVisible(getNoteBounds(note), area)));
+
+    notes.forEach((note, index) => {
+        // Hidden notes aren't laid out either, so they keep the size they had before
+        if (!visibility[index] && !note.culled && !note.hidden) {
+            // Culled notes aren't laid out, so their bounds come from this size
+            note.renderedSize = { width: note.element.offsetWidth, height: note.element.offsetHeight };
+        }
+        setNoteCulled(note, !visibility[index]);
+    });
+}
+
+/**
+ * Position the note layer for a view, move notes whose canvas position changed
+ * and cull the notes outside the view
+ * @param {HTMLElement} layer - Element holding the note elements
+ * @param {Array} notes - Notes in the layer
+ * @param {Object} ds - LiteGraph's DragAndScale
+ * @param {number} width - View width in screen pixels (0 when not known yet: nothing is culled)
+ * @param {number} height - View height in screen pixels
+ * @returns {Object|null} The visible area, or null when the view size isn't known
+ */
+export function layoutNotes(layer, notes, ds, width, height) {
+    layer.style.transform = getViewTransform(ds);
+    const area = width > 0 ? getVisibleArea(ds, width, height) : null;
+
+    for (const note of notes) {
+        placeNoteElement(note);
+    }
+    if (area) {
+        cullNotes(notes, area);
+    }
+    return area;
+}
+
+/**
+ * Check whether the canvas was panned or zoomed since the last check
+ * @param {Object} ds - LiteGraph's DragAndScale
+ * @param {Object} lastView - `{ offset: [x, y], scale }` of the last check, updated in place
+ */
+export function trackViewChange(ds, lastView) {
+    const changed = ds.offset[0] !== lastView.offset[0] || ds.offset[1] !== lastView.offset[1] ||
+        ds.scale !== lastView.scale;
+
+    lastView.offset[0] = ds.offset[0];
+    lastView.offset[1] = ds.offset[1];
+    lastView.scale = ds.scale;
+    return changed;
+}